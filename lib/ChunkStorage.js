@@ -0,0 +1,561 @@
+/*!
+ * Copyright (c) 2021-2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import * as base64url from 'base64url-universal';
+import {
+  copyRecords, createLegacyIdbMigration, runMigrations
+} from './migrations.js';
+import {createDatabase, purge, removeByPrefix} from './pouchdb.js';
+import {assert} from './assert.js';
+import {parseLocalId} from './helpers.js';
+
+const COLLECTION_NAME = 'edv-storage-chunk';
+
+// the number of chunks to check for garbage at a time
+const GC_BATCH_SIZE = 100;
+
+// the name of the binary attachment that holds the ciphertext of a chunk
+const CIPHERTEXT_ATTACHMENT = 'ciphertext';
+
+export class ChunkStorage {
+  constructor({docs, prefix} = {}) {
+    this.docs = docs;
+    this.prefix = prefix;
+    this.client = null;
+    this._purgeOp = null;
+  }
+
+  /**
+   * Initializes the encrypted document chunks database if it has not already
+   * been initialized.
+   *
+   * @param {object} [options] - The options to use.
+   * @param {string} [options.adapter='indexeddb'] - The PouchDB adapter to
+   *   use.
+   * @param {object} [options.retry] - The settings for retrying writes that
+   *   conflict: `{maxRetries, minDelay, maxDelay}`, with delays in
+   *   milliseconds.
+   * @param {Function} [options.onProgress] - A function that is called with
+   *   `{collection, migration, completed, total}` to report the progress of
+   *   any schema migrations.
+   *
+   * @returns {Promise} Settles once the operation completes.
+   */
+  async initialize({adapter, retry, onProgress} = {}) {
+    if(this.client) {
+      // already initialized
+      return;
+    }
+
+    this.client = await createDatabase({
+      name: COLLECTION_NAME, prefix: this.prefix, adapter, retry
+    });
+
+    // Note: `_id` is populated using the combination of `localEdvId`,
+    // `docId` and `chunk.index` and serves as the primary unique index for
+    // this collection; the ciphertext of each chunk is stored as a binary
+    // attachment to avoid the size and parsing overhead of base64url-encoded
+    // JSON, but records stored prior to 8.3.0 hold the whole JWE as JSON
+
+    // since no indexes are created, get database info to ensure database
+    // upgrade events fire and object stores are created, etc. prior to
+    // scheduling a purge -- otherwise database upgrades could be blocked and
+    // the database will fail to load / be created properly
+    await this.client.info();
+
+    // migrate to the latest schema; close on failure so that
+    // initialization is retried on the next call
+    try {
+      await runMigrations({
+        client: this.client,
+        collection: COLLECTION_NAME,
+        migrations: [
+          createLegacyIdbMigration({
+            collection: COLLECTION_NAME,
+            prefix: this.prefix,
+            copy: ({records}) => copyRecords({client: this.client, records})
+          })
+        ],
+        onProgress
+      });
+    } catch(e) {
+      await this.close();
+      throw e;
+    }
+
+    // schedule purge op to clean up any deleted docs, collecting all garbage
+    // first
+    this._schedulePurge({prefix: ''});
+  }
+
+  /**
+   * Updates (replaces) an EDV document chunk. If the document chunk does not
+   * exist, it will be inserted.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV to store the chunk in.
+   * @param {string} options.docId - The ID of the document the chunk is
+   *   associated with.
+   * @param {object} options.chunk - The chunk to store.
+   * @param {AbortSignal} [options.signal] - A signal to abort retrying the
+   *   write when conflicts arise.
+   *
+   * @returns {Promise<object>} Resolves to the database record.
+   */
+  async upsert({edvId, docId, chunk, signal} = {}) {
+    assert.string(edvId, 'edvId');
+    assert.localId(docId, 'docId');
+    assert.chunk(chunk);
+
+    // Note: chunks with stale sequences (e.g., because uploads failed or
+    // because associated data shrunk in size, i.e., fewer chunks) are removed
+    // by `gc()`
+
+    // ensure `chunk.sequence` is proper (on par with associated doc)
+    // TODO: optimize retrieval of only sequence number
+    const {doc} = await this.docs.get({edvId, id: docId});
+    if(chunk.sequence !== doc.sequence) {
+      const error = new Error(
+        'Could not update document chunk. Sequence does not match the ' +
+        'associated document.');
+      error.name = 'InvalidStateError';
+      error.expected = doc.sequence;
+      error.actual = chunk.sequence;
+      throw error;
+    }
+
+    // create record, storing the ciphertext as a binary attachment
+    const {localId: localEdvId} = parseLocalId({id: edvId});
+    const _id = _createId({localEdvId, docId, index: chunk.index});
+    const {jwe: {ciphertext, ...jwe}} = chunk;
+    const record = {
+      _id, localEdvId, docId, chunk: {...chunk, jwe},
+      _attachments: {
+        [CIPHERTEXT_ATTACHMENT]: {
+          content_type: 'application/octet-stream',
+          data: _toAttachmentData(base64url.decode(ciphertext))
+        }
+      }
+    };
+
+    let result;
+    try {
+      result = await this.client.updateOne({
+        doc: record,
+        query: {
+          selector: {_id}
+        },
+        upsert: true,
+        signal
+      });
+    } catch(e) {
+      if(e.name === 'ConstraintError') {
+        // if the error was with the same document, then the same chunk was
+        // upserted concurrently -- and we treat this one as if it succeeded
+        // but was overwritten by whatever is in the database now
+        if(e.existing._id === _id) {
+          return this.get({edvId, docId, index: chunk.index});
+        }
+      }
+      throw e;
+    }
+    return {_id, _rev: result.record._rev, localEdvId, docId, chunk};
+  }
+
+  /**
+   * Gets an EDV document chunk.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV.
+   * @param {string} options.docId - The ID of the document the chunk is
+   *   associated with.
+   * @param {number} options.index - The index of the chunk.
+   *
+   * @returns {Promise<object>} Resolves to the database record.
+   */
+  async get({edvId, docId, index} = {}) {
+    assert.string(edvId, 'edvId');
+    assert.localId(docId, 'docId');
+    assert.nonNegativeSafeInteger(index, 'index');
+
+    const {localId: localEdvId} = parseLocalId({id: edvId});
+    let record;
+    try {
+      record = await this.client.get(
+        _createId({localEdvId, docId, index}),
+        {attachments: true, binary: true});
+    } catch(e) {
+      if(e.status === 404) {
+        const error = new Error('Document chunk not found.');
+        error.name = 'NotFoundError';
+        throw error;
+      }
+      throw e;
+    }
+    return _fromRecord(record);
+  }
+
+  /**
+   * Gets the indexes of the chunks of an EDV document that are stored with
+   * the current sequence of the document, e.g., to resume an upload of the
+   * document's stream that was interrupted.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV.
+   * @param {string} options.docId - The ID of the document.
+   *
+   * @returns {Promise<object>} Resolves to `{sequence, indexes}` with the
+   *   current sequence of the document and the indexes of its chunks with
+   *   that sequence, in ascending order.
+   */
+  async getIndexes({edvId, docId} = {}) {
+    assert.string(edvId, 'edvId');
+    assert.localId(docId, 'docId');
+
+    // get the document before its chunks so that no chunk can have a newer
+    // sequence
+    const {doc: {sequence}} = await this.docs.get({edvId, id: docId});
+    const indexes = (await this._getHeaders({edvId, docId}))
+      .filter(chunk => chunk.sequence === sequence)
+      .map(({index}) => index)
+      .sort((a, b) => a - b);
+    return {sequence, indexes};
+  }
+
+  /**
+   * Gets the offsets of the chunks of an EDV document that are stored with
+   * the given sequence, e.g., to find the chunks that cover a byte range of
+   * the document's stream. The offset of a chunk is the offset, in bytes, of
+   * the end of its data in the stream.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV.
+   * @param {string} options.docId - The ID of the document.
+   * @param {number} options.sequence - The sequence of the chunks, i.e., the
+   *   sequence of the document's stream.
+   *
+   * @returns {Promise<object>} Resolves to `{offsets}` with the offset of
+   *   each chunk at its index; the offsets of chunks that are not stored are
+   *   `undefined`.
+   */
+  async getOffsets({edvId, docId, sequence} = {}) {
+    assert.string(edvId, 'edvId');
+    assert.localId(docId, 'docId');
+    assert.sequence(sequence, 'sequence');
+
+    const offsets = [];
+    for(const chunk of await this._getHeaders({edvId, docId})) {
+      if(chunk.sequence === sequence) {
+        offsets[chunk.index] = chunk.offset;
+      }
+    }
+    return {offsets};
+  }
+
+  /**
+   * Removes an EDV document chunk.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV.
+   * @param {string} options.docId - The ID of the document the chunk is
+   *   associated with.
+   * @param {number} options.index - The index of the chunk.
+   *
+   * @returns {Promise<boolean>} `true` if the chunk was removed, `false` if
+   *   it was not found.
+   */
+  async remove({edvId, docId, index} = {}) {
+    // sadly, this is non-atomic because PouchDB does not offer the necessary
+    // primitives
+    let record;
+    try {
+      record = await this.get({edvId, docId, index});
+    } catch(e) {
+      if(e.name === 'NotFoundError') {
+        return false;
+      }
+    }
+
+    // delete record
+    const {_id, _rev} = record;
+    await this.client.put({_id, _rev, _deleted: true});
+
+    // schedule purge operation to clean up deleted docs
+    const {localEdvId} = record;
+    this._schedulePurge({prefix: _createPrefix({localEdvId, docId})});
+
+    return true;
+  }
+
+  /**
+   * Removes every document chunk in an EDV or, if `docId` is given, every
+   * chunk of a document in an EDV.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV.
+   * @param {string} [options.docId] - The ID of the document.
+   *
+   * @returns {Promise<object>} Resolves to `{removed}` with the number of
+   *   chunks that were removed.
+   */
+  async removeAll({edvId, docId} = {}) {
+    assert.string(edvId, 'edvId');
+    if(docId !== undefined) {
+      assert.localId(docId, 'docId');
+    }
+
+    const {localId: localEdvId} = parseLocalId({id: edvId});
+    const prefix = _createPrefix({localEdvId, docId});
+    const result = await removeByPrefix({client: this.client, prefix});
+
+    // schedule purge operation to clean up deleted docs, only collecting the
+    // garbage of the removed chunks, e.g., chunks written concurrently
+    this._schedulePurge({prefix});
+
+    return result;
+  }
+
+  /**
+   * Removes every document chunk that is no longer needed, i.e., chunks:
+   *
+   * - whose document no longer exists (`orphaned`); chunks of a deleted
+   *   document that is in the trash are kept until it is removed from the
+   *   trash.
+   * - whose sequence is behind the sequence of their document and is not the
+   *   sequence of the document's stream (`stale`), e.g., because an upload
+   *   failed or was superseded.
+   * - whose index is past the length of their document's stream
+   *   (`truncated`), e.g., because the stream shrunk.
+   *
+   * Chunks with the same sequence as their document are always kept as they
+   * may be part of an upload in progress. Every chunk is checked when the
+   * database is initialized; removing chunks only checks the chunks of their
+   * document or EDV. Pass `edvId`, and optionally `docId`, to do the same.
+   *
+   * @param {object} [options] - The options to use.
+   * @param {string} [options.edvId] - The ID of the EDV to check the chunks
+   *   of.
+   * @param {string} [options.docId] - The ID of the document to check the
+   *   chunks of; requires `edvId`.
+   *
+   * @returns {Promise<object>} Resolves to `{removed, orphaned, stale,
+   *   truncated}` with the total number of chunks that were removed and the
+   *   number that were removed for each reason.
+   */
+  async gc({edvId, docId} = {}) {
+    let prefix = '';
+    if(edvId !== undefined || docId !== undefined) {
+      assert.string(edvId, 'edvId');
+      if(docId !== undefined) {
+        assert.localId(docId, 'docId');
+      }
+      const {localId: localEdvId} = parseLocalId({id: edvId});
+      prefix = _createPrefix({localEdvId, docId});
+    }
+    return this._gc({prefix});
+  }
+
+  /**
+   * Closes the encrypted document chunks database; it may be initialized
+   * again later.
+   *
+   * @returns {Promise} Settles once the operation completes.
+   */
+  async close() {
+    if(!this.client) {
+      return;
+    }
+    const {client} = this;
+    this.client = null;
+    // wait for any purge in progress as it may be using the database
+    await this._purgeOp;
+    await client.close();
+  }
+
+  /**
+   * Destroys the encrypted document chunks database, removing all of its
+   * data; it will be empty if initialized again later.
+   *
+   * @param {object} [options] - The options to use.
+   * @param {string} [options.adapter='indexeddb'] - The PouchDB adapter to
+   *   use if the database has not been initialized.
+   *
+   * @returns {Promise} Settles once the operation completes.
+   */
+  async destroy({adapter} = {}) {
+    let {client} = this;
+    this.client = null;
+    if(client) {
+      await this._purgeOp;
+    } else {
+      client = await createDatabase(
+        {name: COLLECTION_NAME, prefix: this.prefix, adapter});
+    }
+    await client.destroy();
+  }
+
+  // removes every chunk that is no longer needed whose ID starts with
+  // `prefix`, see `gc()`
+  async _gc({prefix}) {
+    // capture `client` as the database may be closed during collection
+    const {client} = this;
+    const result = {removed: 0, orphaned: 0, stale: 0, truncated: 0};
+    let startkey = prefix;
+    while(true) {
+      const {rows} = await client.allDocs({
+        include_docs: true, limit: GC_BATCH_SIZE,
+        startkey, endkey: `${prefix}\ufff0`
+      });
+      if(rows.length === 0) {
+        return result;
+      }
+      startkey = `${rows.at(-1).id}\u0000`;
+
+      // get the documents after the chunks so that a chunk is never judged
+      // against an older version of its document
+      const records = rows.map(({doc}) => doc);
+      const docs = await this._getDocs({records});
+      const garbage = [];
+      for(const record of records) {
+        const reason = _getGarbageReason({
+          chunk: record.chunk,
+          doc: docs.get(_createDocKey(record))
+        });
+        if(reason) {
+          garbage.push({record, reason});
+        }
+      }
+      if(garbage.length === 0) {
+        continue;
+      }
+
+      // conflicts mean a chunk was updated concurrently, so it is kept
+      const results = await client.bulkDocs(garbage.map(
+        ({record: {_id, _rev}}) => ({_id, _rev, _deleted: true})));
+      results.forEach(({ok}, i) => {
+        if(ok) {
+          result.removed++;
+          result[garbage[i].reason]++;
+        }
+      });
+    }
+  }
+
+  // gets the chunks of a document w/o the ciphertext of those stored as
+  // attachments
+  async _getHeaders({edvId, docId}) {
+    const {localId: localEdvId} = parseLocalId({id: edvId});
+    const prefix = _createPrefix({localEdvId, docId});
+    const {rows} = await this.client.allDocs({
+      startkey: prefix, endkey: `${prefix}\ufff0`, include_docs: true
+    });
+    return rows.map(({doc: {chunk}}) => chunk);
+  }
+
+  // gets the current versions of the documents of the given chunk records,
+  // or, for deleted documents, the versions in the trash, if any
+  async _getDocs({records}) {
+    const docs = new Map();
+    const docIdsByEdv = new Map();
+    for(const {localEdvId, docId} of records) {
+      const docIds = docIdsByEdv.get(localEdvId) ?? new Set();
+      docIdsByEdv.set(localEdvId, docIds.add(docId));
+    }
+    const {trash} = this.docs;
+    for(const [localEdvId, docIds] of docIdsByEdv) {
+      const ids = [...docIds];
+      const {results} = await this.docs.getMany({edvId: localEdvId, ids});
+      for(const [i, {record}] of results.entries()) {
+        const docId = ids[i];
+        let doc = record?.doc;
+        if(!doc && trash?.client) {
+          doc = await trash.get({edvId: localEdvId, docId})
+            .then(({doc}) => doc, e => {
+              if(e.name !== 'NotFoundError') {
+                throw e;
+              }
+            });
+        }
+        docs.set(_createDocKey({localEdvId, docId}), doc);
+      }
+    }
+    return docs;
+  }
+
+  // schedules a purge, first collecting the garbage of chunks whose IDs
+  // start with `prefix`, if the documents database has been initialized
+  _schedulePurge({prefix}) {
+    if(this._purgeOp) {
+      return;
+    }
+    // collect garbage first so that its removal can be purged
+    const {client} = this;
+    const collect = this.docs.client ?
+      this._gc({prefix}) : Promise.resolve();
+    this._purgeOp = collect
+      .catch(e => console.error(e))
+      .then(() => purge({client}))
+      .catch(e => console.error(e))
+      .finally(() => this._purgeOp = null);
+  }
+}
+
+function _createDocKey({localEdvId, docId}) {
+  return `${localEdvId}:${docId}`;
+}
+
+function _createId({localEdvId, docId, index}) {
+  return `${localEdvId}:${docId}:${index}`;
+}
+
+// creates the prefix of the IDs of the chunks of an EDV or, if `docId` is
+// given, of a document in an EDV
+function _createPrefix({localEdvId, docId}) {
+  return docId === undefined ?
+    `${localEdvId}:` : _createId({localEdvId, docId, index: ''});
+}
+
+// creates a record to return from a database record, rebuilding the JWE of
+// its chunk from its binary ciphertext attachment, if any
+async function _fromRecord({
+  _id, _rev, localEdvId, docId, chunk, _attachments
+}) {
+  const attachment = _attachments?.[CIPHERTEXT_ATTACHMENT];
+  if(attachment) {
+    // PouchDB returns a `Buffer` in Node.js and a `Blob` elsewhere
+    const {data} = attachment;
+    const bytes = data instanceof Uint8Array ?
+      data : new Uint8Array(await data.arrayBuffer());
+    const ciphertext = base64url.encode(bytes);
+    chunk = {...chunk, jwe: {...chunk.jwe, ciphertext}};
+  }
+  return {_id, _rev, localEdvId, docId, chunk};
+}
+
+// gets the data of a binary attachment from bytes; PouchDB expects a
+// `Buffer` in Node.js, which `base64url.decode` returns there, and a `Blob`
+// elsewhere
+function _toAttachmentData(bytes) {
+  return globalThis.Buffer?.isBuffer(bytes) ? bytes :
+    new Blob([bytes], {type: 'application/octet-stream'});
+}
+
+// gets the reason a chunk is garbage, if it is, given its document
+function _getGarbageReason({chunk, doc}) {
+  if(!doc) {
+    return 'orphaned';
+  }
+  if(chunk.sequence >= doc.sequence) {
+    // may be part of an upload in progress
+    return null;
+  }
+  const {stream} = doc;
+  if(stream?.sequence === undefined) {
+    // document has no stream or its upload is still in progress
+    return 'stale';
+  }
+  if(chunk.index >= stream.chunks) {
+    return 'truncated';
+  }
+  return chunk.sequence === stream.sequence ? null : 'stale';
+}
@@ -1,13 +1,20 @@
 /*!
- * Copyright (c) 2021-2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2021-2026 Digital Bazaar, Inc. All rights reserved.
  */
+import {
+  copyRecords, createLegacyIdbMigration, runMigrations
+} from './migrations.js';
 import {assert} from './assert.js';
 import {createDatabase} from './pouchdb.js';
 
 export class ConfigStorage {
-  constructor({assertConfig = () => {}, collectionName} = {}) {
+  constructor({
+    assertConfig = () => {}, collectionName, indexes = [], prefix
+  } = {}) {
     this.assertConfig = assertConfig;
     this.collectionName = collectionName;
+    this.indexes = indexes;
+    this.prefix = prefix;
     this.client = null;
   }
 
@@ -15,18 +22,55 @@ export class ConfigStorage {
    * Initializes a configurations database if it has not already
    * been initialized.
    *
+   * @param {object} [options] - The options to use.
+   * @param {string} [options.adapter='indexeddb'] - The PouchDB adapter to
+   *   use.
+   * @param {object} [options.retry] - The settings for retrying writes that
+   *   conflict: `{maxRetries, minDelay, maxDelay}`, with delays in
+   *   milliseconds.
+   * @param {Function} [options.onProgress] - A function that is called with
+   *   `{collection, migration, completed, total}` to report the progress of
+   *   any schema migrations.
+   *
    * @returns {Promise} Settles once the operation completes.
    */
-  async initialize() {
+  async initialize({adapter, retry, onProgress} = {}) {
     if(this.client) {
       // already initialized
       return;
     }
 
-    this.client = await createDatabase({name: this.collectionName});
+    this.client = await createDatabase({
+      name: this.collectionName, prefix: this.prefix, adapter, retry
+    });
 
     // Note: `_id` is populated using `config.id` and serves as the primary
     // unique index for this collection
+
+    // create any additional indexes for queries
+    for(const index of this.indexes) {
+      await this.client.createIndex({index});
+    }
+
+    // migrate to the latest schema; close on failure so that
+    // initialization is retried on the next call
+    try {
+      await runMigrations({
+        client: this.client,
+        collection: this.collectionName,
+        migrations: [
+          createLegacyIdbMigration({
+            collection: this.collectionName,
+            prefix: this.prefix,
+            copy: ({records}) => copyRecords({client: this.client, records})
+          })
+        ],
+        onProgress
+      });
+    } catch(e) {
+      await this.close();
+      throw e;
+    }
   }
 
   /**
@@ -34,10 +78,12 @@ export class ConfigStorage {
    *
    * @param {object} options - The options to use.
    * @param {object} options.config - The configuration.
+   * @param {AbortSignal} [options.signal] - A signal to abort retrying the
+   *   write when conflicts arise.
    *
    * @returns {Promise<object>} Resolves to the database record.
    */
-  async insert({config} = {}) {
+  async insert({config, signal} = {}) {
     this.assertConfig(config);
 
     // require starting sequence to be 0
@@ -47,7 +93,7 @@ export class ConfigStorage {
 
     // insert config and return record
     const record = {_id: config.id, config};
-    const result = await this.client.insertOne({doc: record});
+    const result = await this.client.insertOne({doc: record, signal});
     return result.record;
   }
 
@@ -56,10 +102,12 @@ export class ConfigStorage {
    *
    * @param {object} options - The options to use.
    * @param {object} options.config - The configuration.
+   * @param {AbortSignal} [options.signal] - A signal to abort retrying the
+   *   write when conflicts arise.
    *
    * @returns {Promise<object>} Resolves to the database record.
    */
-  async update({config} = {}) {
+  async update({config, signal} = {}) {
     this.assertConfig(config);
 
     const record = {_id: config.id, config};
@@ -70,7 +118,8 @@ export class ConfigStorage {
           _id: config.id,
           'config.sequence': config.sequence - 1
         }
-      }
+      },
+      signal
     });
     if(!result) {
       const error = new Error(
@@ -104,4 +153,62 @@ export class ConfigStorage {
     }
     return record;
   }
+  /**
+   * Removes a configuration.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the configuration.
+   *
+   * @returns {Promise<boolean>} `true` if the configuration was removed,
+   *   `false` if it was not found.
+   */
+  async remove({id} = {}) {
+    assert.string(id, 'id');
+
+    let record;
+    try {
+      record = await this.client.get(id);
+    } catch(e) {
+      if(e.status === 404) {
+        return false;
+      }
+      throw e;
+    }
+    await this.client.remove(record);
+    return true;
+  }
+
+  /**
+   * Closes the configurations database; it may be initialized again later.
+   *
+   * @returns {Promise} Settles once the operation completes.
+   */
+  async close() {
+    if(!this.client) {
+      return;
+    }
+    const {client} = this;
+    this.client = null;
+    await client.close();
+  }
+
+  /**
+   * Destroys the configurations database, removing all of its data; it will
+   * be empty if initialized again later.
+   *
+   * @param {object} [options] - The options to use.
+   * @param {string} [options.adapter='indexeddb'] - The PouchDB adapter to
+   *   use if the database has not been initialized.
+   *
+   * @returns {Promise} Settles once the operation completes.
+   */
+  async destroy({adapter} = {}) {
+    let {client} = this;
+    this.client = null;
+    if(!client) {
+      client = await createDatabase(
+        {name: this.collectionName, prefix: this.prefix, adapter});
+    }
+    await client.destroy();
+  }
 }
@@ -0,0 +1,225 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {assert} from './assert.js';
+
+const DATABASE_NAME = 'edv-device-keys';
+const OBJECT_STORE_NAME = 'keys';
+
+// device keys of each database name, used where IndexedDB is not available
+const _memoryDatabases = new Map();
+
+export class DeviceKeyStorage {
+  constructor({prefix} = {}) {
+    this.prefix = prefix;
+    this.db = null;
+    this.keys = null;
+  }
+
+  /**
+   * Initializes the device key database if it has not already been
+   * initialized. Device keys are `CryptoKey` objects, which PouchDB cannot
+   * store, so they are stored directly in IndexedDB, where they stay
+   * non-extractable. Where IndexedDB is not available (e.g., in Node.js),
+   * device keys are only kept in memory.
+   *
+   * @returns {Promise} Settles once the operation completes.
+   */
+  async initialize() {
+    if(this.db || this.keys) {
+      // already initialized
+      return;
+    }
+
+    const name = this.prefix + DATABASE_NAME;
+    if(!globalThis.indexedDB) {
+      if(!_memoryDatabases.has(name)) {
+        _memoryDatabases.set(name, new Map());
+      }
+      this.keys = _memoryDatabases.get(name);
+      return;
+    }
+    this.db = await _openDatabase({
+      name,
+      // once its connection is closed, the database is opened again on next
+      // use, see `_getDatabase`
+      onClose: db => {
+        if(this.db === db) {
+          this.db = null;
+        }
+      }
+    });
+  }
+
+  /**
+   * Inserts a device key.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the device key.
+   * @param {CryptoKey} options.key - The device key.
+   *
+   * @returns {Promise<object>} Resolves to the database record, `{id, key}`.
+   */
+  async insert({id, key} = {}) {
+    assert.string(id, 'id');
+    assert.object(key, 'key');
+
+    const record = {id, key};
+    const {db, keys} = await this._getDatabase();
+    let duplicate = false;
+    if(keys) {
+      duplicate = keys.has(id);
+      if(!duplicate) {
+        keys.set(id, key);
+      }
+    } else {
+      try {
+        await _transact({
+          db, mode: 'readwrite', operation: store => store.add(record)
+        });
+      } catch(e) {
+        if(e.name !== 'ConstraintError') {
+          throw e;
+        }
+        duplicate = true;
+      }
+    }
+    if(duplicate) {
+      const error = new Error('Duplicate device key.');
+      error.name = 'ConstraintError';
+      throw error;
+    }
+    return record;
+  }
+
+  /**
+   * Gets a device key.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the device key.
+   *
+   * @returns {Promise<object>} Resolves to the database record, `{id, key}`.
+   */
+  async get({id} = {}) {
+    assert.string(id, 'id');
+
+    const {db, keys} = await this._getDatabase();
+    const record = keys ?
+      (keys.has(id) ? {id, key: keys.get(id)} : undefined) :
+      await _transact({
+        db, mode: 'readonly', operation: store => store.get(id)
+      });
+    if(!record) {
+      const error = new Error('Device key not found.');
+      error.name = 'NotFoundError';
+      throw error;
+    }
+    return record;
+  }
+
+  /**
+   * Removes a device key; any key slot that it unlocks can no longer be
+   * unlocked.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the device key.
+   *
+   * @returns {Promise<boolean>} `true` if the device key was removed, `false`
+   *   if it was not found.
+   */
+  async remove({id} = {}) {
+    assert.string(id, 'id');
+
+    const {db, keys} = await this._getDatabase();
+    if(keys) {
+      return keys.delete(id);
+    }
+    const count = await _transact(
+      {db, mode: 'readonly', operation: store => store.count(id)});
+    if(count === 0) {
+      return false;
+    }
+    await _transact(
+      {db, mode: 'readwrite', operation: store => store.delete(id)});
+    return true;
+  }
+
+  /**
+   * Closes the device key database; it may be initialized again later.
+   *
+   * @returns {Promise} Settles once the operation completes.
+   */
+  async close() {
+    this.db?.close();
+    this.db = null;
+    this.keys = null;
+  }
+
+  /**
+   * Destroys the device key database, removing all device keys; it will be
+   * empty if initialized again later.
+   *
+   * @returns {Promise} Settles once the operation completes.
+   */
+  async destroy() {
+    await this.close();
+    const name = this.prefix + DATABASE_NAME;
+    if(!globalThis.indexedDB) {
+      _memoryDatabases.delete(name);
+      return;
+    }
+    await _request(indexedDB.deleteDatabase(name));
+  }
+
+  // gets the device key database, `{db}`, or its in-memory fallback,
+  // `{keys}`, opening it again if it was closed, e.g., so that it could be
+  // deleted or upgraded elsewhere
+  async _getDatabase() {
+    if(!(this.db || this.keys)) {
+      await this.initialize();
+    }
+    return {db: this.db, keys: this.keys};
+  }
+}
+
+function _openDatabase({name, onClose}) {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(name, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(OBJECT_STORE_NAME, {keyPath: 'id'});
+    };
+    request.onsuccess = () => {
+      const db = request.result;
+      // close when the database is deleted elsewhere (e.g., in another tab)
+      // so that the deletion is not blocked
+      db.onversionchange = () => {
+        db.close();
+        onClose(db);
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+// runs an operation on the object store and resolves to its result once the
+// transaction completes
+async function _transact({db, mode, operation}) {
+  const transaction = db.transaction([OBJECT_STORE_NAME], mode);
+  const complete = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onabort = () => reject(transaction.error);
+  });
+  const [result] = await Promise.all([
+    _request(operation(transaction.objectStore(OBJECT_STORE_NAME))),
+    complete
+  ]);
+  return result;
+}
+
+function _request(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
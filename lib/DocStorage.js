@@ -0,0 +1,1198 @@
+/*!
+ * Copyright (c) 2021-2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  copyRecords, createLegacyIdbMigration, runMigrations
+} from './migrations.js';
+import {
+  createConstraintError, createDatabase, purge, removeByPrefix
+} from './pouchdb.js';
+import {assert} from './assert.js';
+import {parseLocalId} from './helpers.js';
+
+const COLLECTION_NAME = 'edv-storage-doc';
+const RESERVATIONS_COLLECTION_NAME = 'edv-storage-doc-unique';
+const TOMBSTONES_COLLECTION_NAME = 'edv-storage-doc-deleted';
+
+// PouchDB applies a default `limit` of `25` to queries that have none
+const MAX_LIMIT = Number.MAX_SAFE_INTEGER;
+
+// the number of changes to read at a time when scanning the changes feed
+const CHANGES_BATCH_SIZE = 100;
+
+export class DocStorage {
+  constructor({history, prefix, trash} = {}) {
+    this.history = history;
+    this.prefix = prefix;
+    this.trash = trash;
+    // set by the owner of the chunks database to remove the chunks of
+    // deleted documents
+    this.chunks = null;
+    this.client = null;
+    this.reservations = null;
+    this.tombstones = null;
+    this._purgeOp = null;
+  }
+
+  /**
+   * Initializes the encrypted documents database if it has not already
+   * been initialized.
+   *
+   * @param {object} [options] - The options to use.
+   * @param {string} [options.adapter='indexeddb'] - The PouchDB adapter to
+   *   use.
+   * @param {object} [options.retry] - The settings for retrying writes that
+   *   conflict: `{maxRetries, minDelay, maxDelay}`, with delays in
+   *   milliseconds.
+   * @param {Function} [options.onProgress] - A function that is called with
+   *   `{collection, migration, completed, total}` to report the progress of
+   *   any schema migrations.
+   *
+   * @returns {Promise} Settles once the operation completes.
+   */
+  async initialize({adapter, retry, onProgress} = {}) {
+    if(this.client) {
+      // already initialized
+      return;
+    }
+
+    this.client = await createDatabase({
+      name: COLLECTION_NAME, prefix: this.prefix, adapter, retry
+    });
+    this.reservations = await createDatabase({
+      name: RESERVATIONS_COLLECTION_NAME, prefix: this.prefix, adapter, retry
+    });
+    this.tombstones = await createDatabase({
+      name: TOMBSTONES_COLLECTION_NAME, prefix: this.prefix, adapter, retry
+    });
+
+    /* Note: `_id` is populated using the combination of `localEdvId` and
+    `doc.id` and serves as the primary unique index for this collection.
+
+    Additionally, index information from each encrypted document is massaged
+    to work within the limitations of PouchDB's indexing system. For example,
+    since PouchDB does not support deep referencing fields within arrays (only
+    within objects), the `doc.indexed` array must be transformed to enable
+    indexing here. That array is transformed into three different arrays that
+    are stored at the top level of each record in the database:
+
+    `attributes` - Holds the names and values of every encrypted attribute and
+      value pair, enabling queries that check full attributes to be checked.
+
+    `attributeNames` - Holds the names of every encrypted attribute so that
+      queries that just check for the presence of attributes (but not their
+      values) can be performed.
+
+    `uniqueAttributes` - Holds the names and values of every encrypted
+      attribute that is marked as `unique`. This allows unique constraints to
+      be applied to encrypted attributes.
+
+    Each unique attribute is also reserved for the document holding it in a
+    separate reservations collection, where `_id` is populated using the
+    combination of `localEdvId` and the unique attribute. Since PouchDB
+    rejects writes of conflicting `_id`s atomically, this guarantees that
+    concurrent writes cannot create documents with duplicate unique attributes
+    in the same EDV.
+
+    Records of deleted documents are deleted too, so they are not returned by
+    queries or range scans. A copy of each, a tombstone, is kept in a separate
+    tombstones collection, where `_id` is populated the same way, so that the
+    deleted documents of an EDV can be listed via a range scan.
+    */
+
+    // attribute name + value queries
+    await this.client.createIndex({
+      index: {
+        ddoc: 'edv-doc',
+        name: 'attributes',
+        fields: [
+          'localEdvId',
+          'attributes'
+        ],
+        partial_filter_selector: {
+          attributes: {$exists: true}
+        }
+      }
+    });
+
+    // attribute name queries
+    await this.client.createIndex({
+      index: {
+        ddoc: 'edv-doc',
+        name: 'attributes.name',
+        fields: [
+          'localEdvId',
+          'attributeNames'
+        ],
+        partial_filter_selector: {
+          attributeNames: {$exists: true}
+        }
+      }
+    });
+
+    // scans of an EDV's records in order of `_id`
+    await this.client.createIndex({
+      index: {
+        ddoc: 'edv-doc',
+        name: 'id',
+        fields: [
+          'localEdvId',
+          '_id'
+        ]
+      }
+    });
+
+    // used to enforce uniqueness on insert / update for documents written
+    // before unique attributes were reserved
+    await this.client.createIndex({
+      index: {
+        ddoc: 'edv-doc',
+        name: 'attributes.unique',
+        fields: [
+          'localEdvId',
+          'uniqueAttributes'
+        ],
+        partial_filter_selector: {
+          uniqueAttributes: {$exists: true}
+        }
+      }
+    });
+
+    // since no indexes are created for reservations and tombstones, get
+    // database info to ensure the databases are created prior to scheduling a
+    // purge
+    await this.reservations.info();
+    await this.tombstones.info();
+
+    // migrate to the latest schema; close on failure so that
+    // initialization is retried on the next call
+    try {
+      await runMigrations({
+        client: this.client,
+        collection: COLLECTION_NAME,
+        migrations: [
+          createLegacyIdbMigration({
+            collection: COLLECTION_NAME,
+            prefix: this.prefix,
+            copy: ({records}) => this._copyLegacyRecords({records})
+          }),
+          {
+            version: 2,
+            name: 'tombstones',
+            migrate: ({onProgress}) => this._addLegacyTombstones({onProgress})
+          }
+        ],
+        onProgress
+      });
+    } catch(e) {
+      await this.close();
+      throw e;
+    }
+
+    // schedule purge op to clean up any deleted docs
+    this._schedulePurge();
+  }
+
+  /**
+   * Inserts an EDV document.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV to store the document
+   *   in.
+   * @param {object} options.doc - The document to insert.
+   * @param {AbortSignal} [options.signal] - A signal to abort retrying the
+   *   write when conflicts arise.
+   *
+   * @returns {Promise<object>} Resolves to the database record.
+   */
+  async insert({edvId, doc, signal} = {}) {
+    assert.string(edvId, 'edvId');
+    assert.doc(doc);
+
+    // create record
+    const {record, uniqueConstraints} = _createRecord({edvId, doc});
+
+    // insert and return updated record
+    const result = await this.client.insertOne({
+      doc: record, uniqueConstraints,
+      reservations: this._createReservations({record}),
+      signal
+    });
+    // the document may have been deleted before
+    await this._removeTombstones({ids: [record._id]});
+    return result.record;
+  }
+
+  /**
+   * Updates (replaces) an EDV document. If the document does not exist, it
+   * will be inserted.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV to store the document
+   *   in.
+   * @param {object} options.doc - The document to store.
+   * @param {boolean} [options.deleted=false] - Set to `true` if the EDV
+   *   document is a tombstone, i.e., it has been deleted.
+   * @param {AbortSignal} [options.signal] - A signal to abort retrying the
+   *   write when conflicts arise.
+   *
+   * @returns {Promise<object>} Resolves to the database record.
+   */
+  async upsert({edvId, doc, deleted = false, signal} = {}) {
+    assert.string(edvId, 'edvId');
+    assert.doc(doc);
+
+    // create record
+    const {
+      localEdvId, record, uniqueConstraints
+    } = _createRecord({edvId, doc});
+    const _id = _createId({localEdvId, docId: doc.id});
+
+    if(deleted) {
+      // mark record as deleted; important to improve pouchdb indexing speed
+      record._deleted = true;
+    }
+
+    // get the version being replaced if it is to be kept in the history of
+    // the EDV or, when deleting, moved to its trash
+    const keep = await this._getKeepSettings({edvId, deleted});
+    const replaced = keep.history || keep.trash ?
+      await this._getReplaced({edvId, docs: [doc]}) : [];
+
+    let result;
+    try {
+      result = await this.client.updateOne({
+        doc: record,
+        query: {
+          selector: {
+            _id,
+            'doc.sequence': doc.sequence - 1
+          }
+        },
+        upsert: true,
+        uniqueConstraints,
+        // a deleted record holds no reservations, releasing any it held
+        reservations: this._createReservations({record, deleted}),
+        signal
+      });
+    } catch(e) {
+      if(e.name === 'ConstraintError') {
+        // if the error was with the same document, then the sequence did not
+        // match
+        if(e.existing?._id === _id) {
+          throw _createSequenceError();
+        }
+      }
+      throw e;
+    }
+
+    // only keep the replaced version once it has been replaced
+    if(keep.history) {
+      await this.history.add(
+        {edvId, docs: replaced, maxVersions: keep.history.maxVersions});
+    }
+
+    if(deleted) {
+      await this._addTombstone({record: result.record});
+      if(keep.trash) {
+        await this.trash.add(
+          {edvId, docs: replaced, retention: keep.trash.retention});
+      }
+      // remove the document's chunks unless the version moved to the trash
+      // may need them
+      if(!(keep.trash && replaced.length > 0)) {
+        await this._removeChunks({edvId, docId: doc.id});
+      }
+      // schedule purge operation to clean up deleted docs
+      this._schedulePurge();
+    } else {
+      // the document may have been deleted before
+      await this._removeTombstones({ids: [_id]});
+    }
+
+    return result.record;
+  }
+
+  /**
+   * Inserts many EDV documents in a single batch. A document is only inserted
+   * if its ID and unique attributes are not used by any existing document or
+   * by any document earlier in the batch.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV to store the documents
+   *   in.
+   * @param {Array} options.docs - The documents to insert.
+   * @param {AbortSignal} [options.signal] - A signal to abort retrying
+   *   writes when conflicts arise.
+   *
+   * @returns {Promise<object>} Resolves to `{results}` with a result for each
+   *   document, in order: `{record}` with the database record if the
+   *   document was inserted, otherwise `{error}`.
+   */
+  async bulkInsert({edvId, docs, signal} = {}) {
+    return this._bulkWrite({edvId, docs, upsert: false, signal});
+  }
+
+  /**
+   * Updates (replaces) many EDV documents in a single batch; any document
+   * that does not exist will be inserted. A document is only written if its
+   * sequence follows that of the existing document and if its unique
+   * attributes are not used by any other existing document or by any
+   * document earlier in the batch.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV to store the documents
+   *   in.
+   * @param {Array} options.docs - The documents to store.
+   * @param {AbortSignal} [options.signal] - A signal to abort retrying
+   *   writes when conflicts arise.
+   *
+   * @returns {Promise<object>} Resolves to `{results}` with a result for each
+   *   document, in order: `{record}` with the database record if the
+   *   document was written, otherwise `{error}`.
+   */
+  async bulkUpsert({edvId, docs, signal} = {}) {
+    return this._bulkWrite({edvId, docs, upsert: true, signal});
+  }
+
+  /**
+   * Gets an EDV document.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV.
+   * @param {string} options.id - The ID of the document.
+   *
+   * @returns {Promise<object>} Resolves to the database record.
+   */
+  async get({edvId, id} = {}) {
+    assert.string(edvId, 'edvId');
+    assert.localId(id, 'id');
+
+    const {localId: localEdvId} = parseLocalId({id: edvId});
+    const {docs: [record]} = await this.client.find({
+      selector: {_id: _createId({localEdvId, docId: id})},
+      limit: 1
+    });
+    if(!record) {
+      throw _createNotFoundError();
+    }
+    return record;
+  }
+
+  /**
+   * Gets many EDV documents in a single batch.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV.
+   * @param {Array} options.ids - The IDs of the documents.
+   *
+   * @returns {Promise<object>} Resolves to `{results}` with a result for each
+   *   ID, in order: `{record}` with the database record if the document was
+   *   found, otherwise `{error}` with a `NotFoundError`.
+   */
+  async getMany({edvId, ids} = {}) {
+    assert.string(edvId, 'edvId');
+    assert.array(ids, 'ids');
+    ids.forEach((id, i) => assert.localId(id, `ids[${i}]`));
+
+    const {localId: localEdvId} = parseLocalId({id: edvId});
+    const {rows} = await this.client.allDocs({
+      keys: ids.map(docId => _createId({localEdvId, docId})),
+      include_docs: true
+    });
+    // missing and deleted documents have no `doc`
+    const results = rows.map(({doc: record}) => record ?
+      {record} : {error: _createNotFoundError()});
+    return {results};
+  }
+
+  /**
+   * Retrieves all EDV documents matching the given query. Unless a `sort` is
+   * given in `query.options`, the records are returned in order of `_id`.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV.
+   * @param {object} [options.query={}] - The query to use with `selector` and
+   *   `options`, etc.
+   *
+   * @returns {Promise<Array>} Resolves with the records that matched the
+   *   query.
+   */
+  async find({edvId, query = {selector: {}}}) {
+    assert.object(query);
+    assert.object(query.selector);
+
+    // force local EDV ID to be in query if not present
+    let {selector} = query;
+    if(!selector.localEdvId) {
+      const {localId: localEdvId} = parseLocalId({id: edvId});
+      selector = {localEdvId, ...selector};
+    }
+
+    const {limit = MAX_LIMIT, ...options} = query.options ?? {};
+    if(options.sort) {
+      const {docs: records} = await this.client.find(
+        {selector, ...options, limit});
+      return {records};
+    }
+
+    /* Note: PouchDB cannot sort by `_id` when using the attribute indexes and
+    reads every record in range of an index when filtering in memory, even
+    with a `limit`. So the EDV's records are instead scanned in order of
+    `_id`, a batch at a time, until `limit` records match; the first batch is
+    only as large as `limit` and each batch after that is twice as large as
+    the one before it. Any `_id` condition in the selector must be a range
+    given via `$gt` and `$lt`, as created by `createQuery`. */
+    const prefix = _createId({localEdvId: selector.localEdvId, docId: ''});
+    const {$gt, $lt = `${prefix}\ufff0`} = selector._id ?? {};
+    let startkey = $gt === undefined ? prefix : `${$gt}\u0000`;
+    let batchSize = 0;
+    const records = [];
+    while(records.length < limit) {
+      batchSize = Math.max(limit - records.length, batchSize * 2);
+      const {rows} = await this.client.allDocs({
+        startkey, endkey: $lt, inclusive_end: false, limit: batchSize
+      });
+      if(rows.length === 0) {
+        break;
+      }
+      const {docs} = await this.client.find({
+        ...options,
+        selector: {
+          ...selector, _id: {$gte: rows[0].id, $lte: rows.at(-1).id}
+        },
+        // PouchDB prefers the attribute indexes over `use_index`, but sorting
+        // by the fields of the `id` index makes it scan that index, in order
+        // of `_id`
+        use_index: ['edv-doc', 'id'],
+        sort: ['localEdvId', '_id'],
+        limit: MAX_LIMIT
+      });
+      records.push(...docs);
+      startkey = `${rows.at(-1).id}\u0000`;
+    }
+    return {records: records.slice(0, limit)};
+  }
+
+  /**
+   * Lists the documents in an EDV in order of document ID via a range scan
+   * over the IDs of their records.
+   *
+   * Deleted documents are only listed if `includeDeleted` is `true`; these
+   * are found via a range scan over the IDs of their tombstones.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV.
+   * @param {number} [options.limit] - The maximum number of records to
+   *   return.
+   * @param {string} [options.cursor] - The ID of the document to list the
+   *   documents after.
+   * @param {boolean} [options.includeDeleted=false] - Set to `true` to also
+   *   list deleted documents.
+   *
+   * @returns {Promise<object>} Resolves to `{records}` with the database
+   *   records; records for deleted documents have `_deleted` set to `true`.
+   */
+  async list({
+    edvId, limit = MAX_LIMIT, cursor, includeDeleted = false
+  } = {}) {
+    assert.string(edvId, 'edvId');
+    assert.nonNegativeSafeInteger(limit, 'limit');
+    if(cursor !== undefined) {
+      assert.localId(cursor, 'cursor');
+    }
+
+    // every document `_id` starts with the local EDV ID
+    const {localId: localEdvId} = parseLocalId({id: edvId});
+    const prefix = `${localEdvId}:`;
+    const startkey = cursor === undefined ?
+      prefix : `${_createId({localEdvId, docId: cursor})}\u0000`;
+    const {rows} = await this.client.allDocs({
+      startkey, endkey: `${prefix}\ufff0`, include_docs: true, limit
+    });
+    const records = rows.map(({doc}) => doc);
+    if(!includeDeleted) {
+      return {records};
+    }
+
+    // deleted records are not returned by `allDocs`, so merge in the same
+    // range of tombstones; a tombstone of a document that exists is left
+    // over from a write that failed to remove it and is skipped
+    const {rows: tombstoneRows} = await this.tombstones.allDocs({
+      startkey, endkey: `${prefix}\ufff0`, include_docs: true, limit
+    });
+    const ids = new Set(records.map(({_id}) => _id));
+    for(const {doc: tombstone} of tombstoneRows) {
+      if(!ids.has(tombstone._id)) {
+        records.push({...tombstone, _deleted: true});
+      }
+    }
+    records.sort((a, b) => _compareIds(a._id, b._id));
+    return {records: records.slice(0, limit)};
+  }
+
+  /**
+   * Counts the EDV documents matching the given query. If the query only
+   * selects the EDV, its documents are counted over a range of IDs without
+   * reading them. Otherwise, the `_id` of each matching record is projected,
+   * which avoids copying the encrypted documents into the results, but
+   * PouchDB still reads each candidate record to match it.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV.
+   * @param {object} [options.query={}] - The query to use with `selector` and
+   *   `options`, etc.
+   *
+   * @returns {Promise<object>} Resolves to `{count}`.
+   */
+  async count({edvId, query = {selector: {}}}) {
+    assert.object(query);
+    assert.object(query.selector);
+
+    // force local EDV ID to be in query if not present
+    let {selector} = query;
+    if(!selector.localEdvId) {
+      const {localId: localEdvId} = parseLocalId({id: edvId});
+      selector = {localEdvId, ...selector};
+    }
+
+    // count every document in the EDV via the keys of its range of IDs
+    const keys = Object.keys(selector);
+    if(keys.length === 1 && typeof selector.localEdvId === 'string') {
+      const prefix = `${selector.localEdvId}:`;
+      const {rows} = await this.client.allDocs(
+        {startkey: prefix, endkey: `${prefix}\ufff0`});
+      return {count: rows.length};
+    }
+
+    const {docs} = await this.client.find({
+      selector, ...query.options, fields: ['_id'], limit: MAX_LIMIT
+    });
+    return {count: docs.length};
+  }
+
+  /**
+   * Creates a query to pass to `find` based on the given `edvQuery`. The
+   * `edvQuery` can have these properties: `{index, equals, has, not, or,
+   * count, limit, cursor}`. The `index` property must be given and include
+   * an hmac ID associated with an encrypted index and at least one of
+   * `equals`, `has`, `not`, or `or` must be given. A document matches the
+   * query if it matches all of these that are given:
+   *
+   * `equals` - An array of objects with attribute name and value pairs; the
+   *   document must have all of the pairs in any one of the objects.
+   *
+   * `has` - An array of attribute names; the document must have all of them.
+   *
+   * `not` - A nested query (without `index`) the document must not match.
+   *
+   * `or` - An array of nested queries (without `index`); the document must
+   *   match any one of them.
+   *
+   * If `cursor` is given, only documents after it (in order of `_id`) will
+   * match; the `cursor` for the next page is the ID of the last document in
+   * the current page.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV.
+   * @param {object} options.edvQuery - The EDV query.
+   *
+   * @returns {object} The `query` to pass to `find`.
+   */
+  createQuery({edvId, edvQuery} = {}) {
+    assert.string(edvId, 'edvId');
+    assert.edvQuery(edvQuery, 'edvQuery');
+
+    const {index, equals, has, cursor} = edvQuery;
+    const encodedIndex = encodeURIComponent(index);
+    const {localId: localEdvId} = parseLocalId({id: edvId});
+    const selector = {localEdvId};
+    const options = {};
+    if(equals) {
+      // must provide this to enable use of the attributes query; the PouchDB
+      // query planner needs it to determine start / end keys in the index
+      selector.attributes = {$gt: null};
+      options.use_index = ['edv-doc', 'attributes'];
+    } else if(has) {
+      options.use_index = ['edv-doc', 'attributes.name'];
+    } else {
+      // no attribute index applies to `not` and `or` only queries, so scan
+      // the EDV's records by `_id` instead
+      const prefix = _createId({localEdvId, docId: ''});
+      selector._id = {$gt: prefix, $lt: `${prefix}\ufff0`};
+    }
+    if(cursor !== undefined) {
+      selector._id = {
+        ...selector._id, $gt: _createId({localEdvId, docId: cursor})
+      };
+    }
+
+    // add query conditions, merging them into the selector where possible as
+    // the PouchDB query planner only considers top-level fields
+    const rest = [];
+    for(const condition of _buildConditions({encodedIndex, edvQuery})) {
+      if(Object.keys(condition).every(key => !(key in selector))) {
+        Object.assign(selector, condition);
+      } else {
+        rest.push(condition);
+      }
+    }
+    if(rest.length > 0) {
+      // see `_combineConditions`
+      selector.$nor = rest.map(condition => ({$not: condition}));
+    }
+    return {selector, options};
+  }
+
+  /**
+   * Watches for changes to the documents in an EDV. Each change is yielded
+   * as an event `{type, id, seq, record}`, where `type` is one of `insert`,
+   * `update`, or `delete`, `id` is the ID of the document, and `seq` is the
+   * sequence of the change in the database, which may be passed as `since`
+   * to resume watching after it.
+   *
+   * Only the latest change to a document is yielded when several changes are
+   * made to it before its changes are read. Watching ends when the returned
+   * iterator is returned from (e.g., via `break` in a `for await` loop) or
+   * when `signal` is aborted.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV.
+   * @param {object} [options.query] - A query created via `createQuery` to
+   *   only watch the documents that match it; deletions are always
+   *   included.
+   * @param {number|string} [options.since='now'] - The sequence to start
+   *   watching after; `0` yields every document and `'now'` only changes
+   *   that are made from now on.
+   * @param {AbortSignal} [options.signal] - A signal to stop watching.
+   *
+   * @returns {object} An async iterator that yields change events.
+   */
+  async* watch({edvId, query, since = 'now', signal} = {}) {
+    assert.string(edvId, 'edvId');
+
+    // always scope changes to the EDV; deleted documents have no attributes
+    // left to match a query, so every deletion in the EDV is included
+    const {localId: localEdvId} = parseLocalId({id: edvId});
+    const selector = {localEdvId};
+    if(query) {
+      selector.$or = [{_deleted: true}, query.selector];
+    }
+
+    const changes = this.client.changes({
+      live: true, since, include_docs: true, selector
+    });
+    const queue = [];
+    let error;
+    let complete = false;
+    let notify = () => {};
+    changes.on('change', change => {
+      queue.push(change);
+      notify();
+    });
+    changes.on('error', e => {
+      error = e;
+      notify();
+    });
+    changes.on('complete', () => {
+      complete = true;
+      notify();
+    });
+    const cancel = () => changes.cancel();
+    signal?.addEventListener('abort', cancel, {once: true});
+    if(signal?.aborted) {
+      cancel();
+    }
+
+    try {
+      while(true) {
+        if(queue.length > 0) {
+          yield _createChangeEvent(queue.shift());
+          continue;
+        }
+        if(error) {
+          throw error;
+        }
+        if(complete) {
+          return;
+        }
+        await new Promise(resolve => notify = resolve);
+      }
+    } finally {
+      signal?.removeEventListener('abort', cancel);
+      changes.cancel();
+    }
+  }
+
+  /**
+   * Removes every document in an EDV, including any unique attributes
+   * reserved for them and the tombstones of any deleted documents.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV.
+   *
+   * @returns {Promise<object>} Resolves to `{removed}` with the number of
+   *   documents that were removed.
+   */
+  async removeAll({edvId} = {}) {
+    assert.string(edvId, 'edvId');
+
+    // every document and reservation `_id` starts with the local EDV ID
+    const {localId: localEdvId} = parseLocalId({id: edvId});
+    const prefix = `${localEdvId}:`;
+    const {removed} = await removeByPrefix({client: this.client, prefix});
+    await removeByPrefix({client: this.reservations, prefix});
+    await removeByPrefix({client: this.tombstones, prefix});
+
+    // schedule purge operation to clean up deleted docs
+    this._schedulePurge();
+
+    return {removed};
+  }
+
+  /**
+   * Closes the encrypted documents database; it may be initialized again
+   * later.
+   *
+   * @returns {Promise} Settles once the operation completes.
+   */
+  async close() {
+    if(!this.client) {
+      return;
+    }
+    const {client, reservations, tombstones} = this;
+    this.client = this.reservations = this.tombstones = null;
+    // wait for any purge in progress as it may be using the databases
+    await this._purgeOp;
+    await Promise.all(
+      [client.close(), reservations.close(), tombstones.close()]);
+  }
+
+  /**
+   * Destroys the encrypted documents database, removing all of its data; it
+   * will be empty if initialized again later.
+   *
+   * @param {object} [options] - The options to use.
+   * @param {string} [options.adapter='indexeddb'] - The PouchDB adapter to
+   *   use if the database has not been initialized.
+   *
+   * @returns {Promise} Settles once the operation completes.
+   */
+  async destroy({adapter} = {}) {
+    let {client, reservations, tombstones} = this;
+    this.client = this.reservations = this.tombstones = null;
+    if(client) {
+      await this._purgeOp;
+    } else {
+      [client, reservations, tombstones] = await Promise.all([
+        createDatabase({name: COLLECTION_NAME, prefix: this.prefix, adapter}),
+        createDatabase({
+          name: RESERVATIONS_COLLECTION_NAME, prefix: this.prefix, adapter
+        }),
+        createDatabase({
+          name: TOMBSTONES_COLLECTION_NAME, prefix: this.prefix, adapter
+        })
+      ]);
+    }
+    await Promise.all(
+      [client.destroy(), reservations.destroy(), tombstones.destroy()]);
+  }
+
+  async _bulkWrite({edvId, docs, upsert, signal}) {
+    assert.string(edvId, 'edvId');
+    assert.array(docs, 'docs');
+    signal?.throwIfAborted();
+    const operation = upsert ? 'update' : 'insert';
+    const results = new Array(docs.length);
+
+    // create records
+    const entries = [];
+    for(const [i, doc] of docs.entries()) {
+      try {
+        assert.doc(doc);
+        entries.push({i, ..._createRecord({edvId, doc})});
+      } catch(e) {
+        results[i] = {error: e};
+      }
+    }
+
+    // check the batch against existing records in a single query each for
+    // `_id` and for unique attributes
+    const {localId: localEdvId} = parseLocalId({id: edvId});
+    const {rows} = await this.client.allDocs({
+      keys: entries.map(({record}) => record._id), include_docs: true
+    });
+    const uniqueAttributes = entries.flatMap(
+      ({record}) => record.uniqueAttributes ?? []);
+    let holders = [];
+    if(uniqueAttributes.length > 0) {
+      ({docs: holders} = await this.client.find({
+        selector: {localEdvId, uniqueAttributes: {$in: uniqueAttributes}},
+        use_index: ['edv-doc', 'attributes.unique'],
+        limit: MAX_LIMIT
+      }));
+    }
+    const writes = [];
+    // `_id`s and reservation keys used by records earlier in the batch
+    const batch = new Map();
+    for(const [j, {i, record, uniqueConstraints}] of entries.entries()) {
+      const existing = rows[j].doc ?? undefined;
+      if(existing && !upsert) {
+        results[i] = {error: createConstraintError(
+          {operation, doc: record, existing, uniqueConstraints})};
+        continue;
+      }
+      if(existing && existing.doc.sequence !== record.doc.sequence - 1) {
+        results[i] = {error: _createSequenceError()};
+        continue;
+      }
+      const holder = holders.find(({_id, uniqueAttributes}) =>
+        _id !== record._id && uniqueAttributes.some(
+          a => (record.uniqueAttributes ?? []).includes(a)));
+      if(holder) {
+        results[i] = {error: createConstraintError(
+          {operation, doc: record, existing: holder, uniqueConstraints})};
+        continue;
+      }
+      const keys = [record._id, ..._getReservationKeys(record)];
+      const earlier = keys.map(key => batch.get(key)).find(r => r);
+      if(earlier) {
+        results[i] = {error: createConstraintError(
+          {operation, doc: record, existing: earlier, uniqueConstraints})};
+        continue;
+      }
+      keys.forEach(key => batch.set(key, record));
+      writes.push({
+        i, doc: record, existing,
+        reservations: this._createReservations({record})
+      });
+    }
+
+    // write the batch, then write any documents that had conflicts on their
+    // own to resolve them
+    const written = writes.length === 0 ?
+      [] : await this.client.writeMany({entries: writes});
+
+    // keep the versions that were replaced if history is enabled for the EDV
+    const {history} = upsert ?
+      await this._getKeepSettings({edvId}) : {};
+    if(history) {
+      const replacing = writes.filter((write, j) => written[j].ok);
+      const replaced = await this._getReplaced({
+        edvId,
+        docs: replacing.map(({doc}) => doc.doc),
+        existing: replacing.map(({existing}) => existing)
+      });
+      await this.history.add(
+        {edvId, docs: replaced, maxVersions: history.maxVersions});
+    }
+    // any of the documents may have been deleted before
+    await this._removeTombstones({
+      ids: written.filter(({ok}) => ok).map(({record}) => record._id)
+    });
+    for(const [j, result] of written.entries()) {
+      const {i} = writes[j];
+      if(!result.conflict) {
+        results[i] = result.ok ? {record: result.record} : result;
+        continue;
+      }
+      try {
+        const doc = docs[i];
+        const record = await (upsert ?
+          this.upsert({edvId, doc, signal}) :
+          this.insert({edvId, doc, signal}));
+        results[i] = {record};
+      } catch(e) {
+        if(signal?.aborted) {
+          throw e;
+        }
+        results[i] = {error: e};
+      }
+    }
+    return {results};
+  }
+
+  async _copyLegacyRecords({records}) {
+    for(const legacyRecord of records) {
+      // rebuild each record to reserve its unique attributes
+      const {localEdvId, doc} = legacyRecord;
+      const {record, uniqueConstraints} = _createRecord(
+        {edvId: localEdvId, doc});
+      try {
+        await this.client.insertOne({
+          doc: record, uniqueConstraints,
+          reservations: this._createReservations({record})
+        });
+      } catch(e) {
+        // record was already copied or would violate a unique constraint
+        if(e.name !== 'ConstraintError') {
+          throw e;
+        }
+      }
+    }
+  }
+
+  // adds the tombstones of the documents that were deleted before tombstones
+  // were kept, found by scanning the changes feed, which only includes the
+  // latest change to each record
+  async _addLegacyTombstones({onProgress}) {
+    const {update_seq: total} = await this.client.info();
+    let since = 0;
+    onProgress?.({completed: since, total});
+    while(true) {
+      const {results, last_seq} = await this.client.changes({
+        since, limit: CHANGES_BATCH_SIZE, include_docs: true
+      });
+      if(results.length === 0) {
+        break;
+      }
+      // records removed via `removeAll` have no document
+      const records = results
+        .filter(({deleted, doc}) => deleted && doc.doc)
+        .map(({doc}) => _createTombstone({record: doc}));
+      await copyRecords({client: this.tombstones, records});
+      since = last_seq;
+      onProgress?.({completed: since, total});
+    }
+  }
+
+  async _addTombstone({record}) {
+    await this.tombstones.updateOne({
+      doc: _createTombstone({record}),
+      query: {selector: {_id: record._id}},
+      upsert: true
+    });
+  }
+
+  // removes the tombstones of documents that have been written again
+  async _removeTombstones({ids}) {
+    if(ids.length === 0) {
+      return;
+    }
+    const {rows} = await this.tombstones.allDocs({keys: ids});
+    const removed = rows
+      .filter(({value}) => value && !value.deleted)
+      .map(({id, value}) => ({_id: id, _rev: value.rev, _deleted: true}));
+    if(removed.length === 0) {
+      return;
+    }
+    // conflicts mean a tombstone was removed or replaced concurrently
+    await this.tombstones.bulkDocs(removed);
+    this._schedulePurge();
+  }
+
+  // gets the history settings of the EDV and, when deleting, its trash
+  // settings; history and trash are only kept once their databases have
+  // been initialized
+  async _getKeepSettings({edvId, deleted = false}) {
+    const [history, trash] = await Promise.all([
+      this.history?.client ? this.history.getSettings({edvId}) : null,
+      deleted && this.trash?.client ? this.trash.getSettings({edvId}) : null
+    ]);
+    return {history, trash};
+  }
+
+  // gets the versions of the documents that `docs` will replace, i.e., whose
+  // sequence precedes theirs; `existing` has the existing record of each
+  // document, if already known
+  async _getReplaced({edvId, docs, existing}) {
+    if(!existing) {
+      const {localId: localEdvId} = parseLocalId({id: edvId});
+      const {rows} = await this.client.allDocs({
+        keys: docs.map(({id: docId}) => _createId({localEdvId, docId})),
+        include_docs: true
+      });
+      existing = rows.map(({doc}) => doc ?? undefined);
+    }
+    const replaced = [];
+    for(const [i, record] of existing.entries()) {
+      if(record?.doc.sequence === docs[i].sequence - 1) {
+        replaced.push(record.doc);
+      }
+    }
+    return replaced;
+  }
+
+  _createReservations({record, deleted = false}) {
+    return {
+      client: this.reservations,
+      keys: deleted ? [] : _getReservationKeys(record),
+      getKeys: _getReservationKeys
+    };
+  }
+
+  // removes the chunks of a deleted document; as the document has already
+  // been deleted, any failure is left for the chunk garbage collector
+  async _removeChunks({edvId, docId}) {
+    if(!this.chunks?.client) {
+      return;
+    }
+    try {
+      await this.chunks.removeAll({edvId, docId});
+    } catch(e) {
+      console.error(e);
+    }
+  }
+
+  _schedulePurge() {
+    if(this._purgeOp) {
+      return;
+    }
+    this._purgeOp = Promise.all([
+      purge({client: this.client}),
+      purge({client: this.reservations}),
+      purge({client: this.tombstones})
+    ])
+      .catch(e => console.error(e))
+      .finally(() => this._purgeOp = null);
+  }
+}
+
+function _createRecord({edvId, doc}) {
+  const {localId: localEdvId} = parseLocalId({id: edvId});
+  const _id = _createId({localEdvId, docId: doc.id});
+  const record = {_id, localEdvId, doc};
+
+  // build top-level attribute index fields
+  const {
+    attributes, attributeNames, uniqueAttributes
+  } = _buildAttributesIndex({doc});
+
+  if(attributes.length > 0) {
+    record.attributes = attributes;
+  }
+
+  if(attributeNames.length > 0) {
+    record.attributeNames = attributeNames;
+  }
+
+  const uniqueConstraints = [];
+  if(uniqueAttributes.length > 0) {
+    record.uniqueAttributes = uniqueAttributes;
+    uniqueConstraints.push({
+      selector: {localEdvId, uniqueAttributes: {$in: uniqueAttributes}},
+      options: {use_index: ['edv-doc', 'attributes.unique']}
+    });
+  }
+
+  return {localEdvId, record, uniqueConstraints};
+}
+
+function _createTombstone({record: {_id, localEdvId, doc}}) {
+  return {_id, localEdvId, doc};
+}
+
+function _buildAttributesIndex({doc}) {
+  const attributes = [];
+  const attributeNames = [];
+  const uniqueAttributes = [];
+
+  // build top-level index fields
+  if(doc.indexed) {
+    for(const entry of doc.indexed) {
+      if(!entry.attributes) {
+        continue;
+      }
+      const encodedHmacId = encodeURIComponent(entry.hmac.id);
+      for(const attribute of entry.attributes) {
+        // concat hash of hmac ID, name, and value
+        const name = `${encodedHmacId}:${encodeURIComponent(attribute.name)}`;
+        const full = `${name}:${encodeURIComponent(attribute.value)}`;
+        attributes.push(full);
+        attributeNames.push(name);
+        if(attribute.unique) {
+          uniqueAttributes.push(full);
+        }
+      }
+    }
+  }
+
+  return {attributes, attributeNames, uniqueAttributes};
+}
+
+function _createChangeEvent({seq, deleted, doc: record}) {
+  let type;
+  if(deleted) {
+    type = 'delete';
+  } else {
+    // a document is inserted with sequence `0`, including when inserted
+    // again after it was deleted
+    type = record.doc.sequence === 0 ? 'insert' : 'update';
+  }
+  return {type, id: record.doc.id, seq, record};
+}
+
+function _buildConditions({encodedIndex, edvQuery}) {
+  const {equals, has, not, or} = edvQuery;
+  const conditions = [];
+  if(equals) {
+    conditions.push({
+      $or: equals.map(e => ({
+        attributes: {
+          $all: Object.entries(e).map(([name, value]) =>
+            `${encodedIndex}:${encodeURIComponent(name)}:` +
+            `${encodeURIComponent(value)}`)
+        }
+      }))
+    });
+  }
+  if(has) {
+    conditions.push({
+      attributeNames: {
+        $all: has.map(name => `${encodedIndex}:${encodeURIComponent(name)}`)
+      }
+    });
+  }
+  if(not) {
+    conditions.push({
+      $not: _combineConditions(
+        _buildConditions({encodedIndex, edvQuery: not}))
+    });
+  }
+  if(or) {
+    conditions.push({
+      $or: or.map(edvQuery => _combineConditions(
+        _buildConditions({encodedIndex, edvQuery})))
+    });
+  }
+  return conditions;
+}
+
+function _combineConditions(conditions) {
+  if(conditions.length === 1) {
+    return conditions[0];
+  }
+  /* Note: PouchDB merges `$and` conditions in ways that lose any that apply
+  to the same field (e.g., two `$all` on `attributes`), so conditions are
+  combined via the equivalent `$nor` of their negations instead. */
+  return {$nor: conditions.map(condition => ({$not: condition}))};
+}
+
+function _createNotFoundError() {
+  const error = new Error('Document not found.');
+  error.name = 'NotFoundError';
+  return error;
+}
+
+function _createSequenceError() {
+  const error = new Error(
+    'Could not update document. Sequence does not match.');
+  error.name = 'InvalidStateError';
+  return error;
+}
+
+function _compareIds(a, b) {
+  if(a === b) {
+    return 0;
+  }
+  return a < b ? -1 : 1;
+}
+
+function _createId({localEdvId, docId}) {
+  return `${localEdvId}:${docId}`;
+}
+
+function _getReservationKeys({localEdvId, uniqueAttributes = []}) {
+  // unique attributes are only unique within the same EDV
+  return uniqueAttributes.map(attribute => `${localEdvId}:${attribute}`);
+}
@@ -0,0 +1,188 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {assert} from './assert.js';
+import {ChunkStorage} from './ChunkStorage.js';
+import {ConfigStorage} from './ConfigStorage.js';
+import {DEFAULT_PREFIX} from './pouchdb.js';
+import {DeviceKeyStorage} from './DeviceKeyStorage.js';
+import {DocStorage} from './DocStorage.js';
+import {HistoryStorage} from './HistoryStorage.js';
+import {TrashStorage} from './TrashStorage.js';
+
+let _defaultStore;
+
+export class EdvStore {
+  /**
+   * Creates a store that owns all of the databases required to work with
+   * local EDVs. Stores with different prefixes are fully isolated from one
+   * another.
+   *
+   * @param {object} [options] - The options to use.
+   * @param {string} [options.prefix='br_edv_'] - The prefix to apply to the
+   *   name of every database owned by the store.
+   *
+   * @returns {EdvStore} - EdvStore.
+   */
+  constructor({prefix = DEFAULT_PREFIX} = {}) {
+    assert.string(prefix, 'prefix');
+    this.prefix = prefix;
+    this.history = new HistoryStorage({prefix});
+    this.trash = new TrashStorage({prefix});
+    this.docs = new DocStorage(
+      {history: this.history, prefix, trash: this.trash});
+    this.chunks = new ChunkStorage({docs: this.docs, prefix});
+    // documents remove their chunks when they are deleted
+    this.docs.chunks = this.chunks;
+    this.edvs = new ConfigStorage({
+      assertConfig: assert.edvConfig,
+      collectionName: 'edv-storage-config',
+      indexes: [
+        // queries by controller
+        {fields: ['config.controller']}
+      ],
+      prefix
+    });
+    this.secrets = new ConfigStorage({
+      assertConfig: assert.secretConfig,
+      collectionName: 'edv-storage-secret',
+      indexes: [
+        // queries by hmac ID
+        {fields: ['config.hmacId']},
+        // queries by keyAgreementKeyId (key agreement key ID)
+        {fields: ['config.keyAgreementKeyId']}
+      ],
+      prefix
+    });
+    this.deviceKeys = new DeviceKeyStorage({prefix});
+  }
+
+  /**
+   * Initializes all databases owned by this store if they have not already
+   * been initialized.
+   *
+   * @param {object} [options] - The options to use.
+   * @param {string} [options.adapter='indexeddb'] - The PouchDB adapter to
+   *   use.
+   * @param {object} [options.retry] - The settings for retrying writes that
+   *   conflict: `{maxRetries, minDelay, maxDelay}`, with delays in
+   *   milliseconds.
+   * @param {Function} [options.onProgress] - A function that is called with
+   *   `{collection, migration, completed, total}` to report the progress of
+   *   any schema migrations.
+   *
+   * @returns {Promise} Settles once the operation completes.
+   */
+  async initialize({adapter, retry, onProgress} = {}) {
+    await Promise.all([
+      this.docs.initialize({adapter, retry, onProgress}),
+      this.history.initialize({adapter, retry, onProgress}),
+      this.trash.initialize({adapter, retry, onProgress}),
+      this.edvs.initialize({adapter, retry, onProgress}),
+      this.secrets.initialize({adapter, retry, onProgress}),
+      this.deviceKeys.initialize()
+    ]);
+    // chunks are initialized last as collecting their garbage, which is done
+    // on initialization, requires the documents and trash databases
+    await this.chunks.initialize({adapter, retry, onProgress});
+  }
+
+  /**
+   * Removes an EDV and all of its data: its configuration, documents,
+   * document chunks, document history, trash, and any locally stored
+   * secret and its device keys.
+   *
+   * The configuration is removed last so that, if the operation is
+   * interrupted, the EDV can still be found and removal can be retried.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the EDV.
+   *
+   * @returns {Promise<boolean>} `true` if the EDV configuration was removed,
+   *   `false` if it was not found.
+   */
+  async deleteEdv({id} = {}) {
+    assert.string(id, 'id');
+
+    await this.chunks.removeAll({edvId: id});
+    await this.docs.removeAll({edvId: id});
+    await this.history.removeAll({edvId: id});
+    await this.trash.removeAll({edvId: id});
+    // locally stored secrets use the EDV ID as their ID
+    await this._removeDeviceKeys({id});
+    await this.secrets.remove({id});
+    return this.edvs.remove({id});
+  }
+
+  /**
+   * Closes all databases owned by this store; they may be initialized again
+   * later.
+   *
+   * @returns {Promise} Settles once the operation completes.
+   */
+  async close() {
+    await Promise.all([
+      this.chunks.close(),
+      this.docs.close(),
+      this.history.close(),
+      this.trash.close(),
+      this.edvs.close(),
+      this.secrets.close(),
+      this.deviceKeys.close()
+    ]);
+  }
+
+  /**
+   * Destroys all databases owned by this store, removing all of their data;
+   * they will be empty if initialized again later.
+   *
+   * @param {object} [options] - The options to use.
+   * @param {string} [options.adapter='indexeddb'] - The PouchDB adapter to
+   *   use for any database that has not been initialized.
+   *
+   * @returns {Promise} Settles once the operation completes.
+   */
+  async destroy({adapter} = {}) {
+    await Promise.all([
+      this.chunks.destroy({adapter}),
+      this.docs.destroy({adapter}),
+      this.history.destroy({adapter}),
+      this.trash.destroy({adapter}),
+      this.edvs.destroy({adapter}),
+      this.secrets.destroy({adapter}),
+      this.deviceKeys.destroy()
+    ]);
+  }
+
+  // removes the device keys used by the key slots of a secret
+  async _removeDeviceKeys({id}) {
+    let config;
+    try {
+      ({config} = await this.secrets.get({id}));
+    } catch(e) {
+      if(e.name === 'NotFoundError') {
+        return;
+      }
+      throw e;
+    }
+    for(const {type, keyId} of config.secret.slots ?? []) {
+      if(type === 'deviceKey') {
+        await this.deviceKeys.remove({id: keyId});
+      }
+    }
+  }
+}
+
+/**
+ * Gets the default store, i.e., the store used by the module-level `chunks`,
+ * `docs`, `edvs`, and `secrets` APIs and by any EDV client or transport that
+ * was not given a store.
+ *
+ * @returns {EdvStore} The default store.
+ */
+export function getDefaultStore() {
+  if(!_defaultStore) {
+    _defaultStore = new EdvStore();
+  }
+  return _defaultStore;
+}
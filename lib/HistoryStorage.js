@@ -0,0 +1,338 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {createDatabase, purge, removeByPrefix} from './pouchdb.js';
+import {assert} from './assert.js';
+import {parseLocalId} from './helpers.js';
+import {runMigrations} from './migrations.js';
+
+const COLLECTION_NAME = 'edv-storage-history';
+
+// the number of digits of `Number.MAX_SAFE_INTEGER`, used to pad sequences
+// in IDs so that they sort in order of sequence
+const SEQUENCE_DIGITS = 16;
+
+export class HistoryStorage {
+  constructor({prefix} = {}) {
+    this.prefix = prefix;
+    this.client = null;
+    this._purgeOp = null;
+  }
+
+  /**
+   * Initializes the document history database if it has not already been
+   * initialized.
+   *
+   * @param {object} [options] - The options to use.
+   * @param {string} [options.adapter='indexeddb'] - The PouchDB adapter to
+   *   use.
+   * @param {object} [options.retry] - The settings for retrying writes that
+   *   conflict: `{maxRetries, minDelay, maxDelay}`, with delays in
+   *   milliseconds.
+   * @param {Function} [options.onProgress] - A function that is called with
+   *   `{collection, migration, completed, total}` to report the progress of
+   *   any schema migrations.
+   *
+   * @returns {Promise} Settles once the operation completes.
+   */
+  async initialize({adapter, retry, onProgress} = {}) {
+    if(this.client) {
+      // already initialized
+      return;
+    }
+
+    this.client = await createDatabase({
+      name: COLLECTION_NAME, prefix: this.prefix, adapter, retry
+    });
+
+    /* Note: Two kinds of records are stored in this collection:
+
+    The history settings of an EDV, where `_id` is populated using
+    `localEdvId`.
+
+    The versions of a document, where `_id` is populated using the
+    combination of `localEdvId`, `docId`, and the zero-padded `sequence` of
+    the version, so that the versions of a document can be found in order of
+    sequence via a range scan. */
+
+    // since no indexes are created, get database info to ensure the database
+    // is created prior to scheduling a purge
+    await this.client.info();
+
+    // migrate to the latest schema; close on failure so that
+    // initialization is retried on the next call
+    try {
+      await runMigrations({
+        client: this.client,
+        collection: COLLECTION_NAME,
+        migrations: [],
+        onProgress
+      });
+    } catch(e) {
+      await this.close();
+      throw e;
+    }
+
+    // schedule purge op to clean up any deleted docs
+    this._schedulePurge();
+  }
+
+  /**
+   * Enables history for an EDV: the versions of its documents that are
+   * replaced will be kept, up to `maxVersions` per document.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV.
+   * @param {number} [options.maxVersions=10] - The maximum number of versions
+   *   to keep of each document.
+   *
+   * @returns {Promise<object>} Resolves to the database record with the
+   *   history settings.
+   */
+  async enable({edvId, maxVersions = 10} = {}) {
+    assert.string(edvId, 'edvId');
+    assert.nonNegativeSafeInteger(maxVersions, 'maxVersions');
+    if(maxVersions === 0) {
+      throw new RangeError('"maxVersions" must be greater than 0.');
+    }
+
+    const {localId: localEdvId} = parseLocalId({id: edvId});
+    const settings = {_id: localEdvId, localEdvId, maxVersions};
+    const {record} = await this.client.updateOne({
+      doc: settings,
+      query: {selector: {_id: localEdvId}},
+      upsert: true
+    });
+    return record;
+  }
+
+  /**
+   * Disables history for an EDV and removes every version that was kept.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV.
+   *
+   * @returns {Promise<object>} Resolves to `{removed}` with the number of
+   *   versions that were removed.
+   */
+  async disable({edvId} = {}) {
+    return this.removeAll({edvId});
+  }
+
+  /**
+   * Gets the history settings of an EDV.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV.
+   *
+   * @returns {Promise<object|null>} Resolves to the database record with the
+   *   history settings, `{maxVersions}`, or `null` if history is not enabled
+   *   for the EDV.
+   */
+  async getSettings({edvId} = {}) {
+    assert.string(edvId, 'edvId');
+
+    const {localId: localEdvId} = parseLocalId({id: edvId});
+    try {
+      return await this.client.get(localEdvId);
+    } catch(e) {
+      if(e.status === 404) {
+        return null;
+      }
+      throw e;
+    }
+  }
+
+  /**
+   * Keeps versions of EDV documents, removing the oldest versions of each
+   * document beyond `maxVersions`. Versions that are already kept are
+   * skipped.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV.
+   * @param {Array} options.docs - The versions of the documents to keep.
+   * @param {number} options.maxVersions - The maximum number of versions to
+   *   keep of each document.
+   *
+   * @returns {Promise} Settles once the operation completes.
+   */
+  async add({edvId, docs, maxVersions} = {}) {
+    assert.string(edvId, 'edvId');
+    assert.array(docs, 'docs');
+    assert.nonNegativeSafeInteger(maxVersions, 'maxVersions');
+    if(docs.length === 0) {
+      return;
+    }
+
+    const {localId: localEdvId} = parseLocalId({id: edvId});
+    const results = await this.client.bulkDocs(docs.map(doc => ({
+      _id: _createId({localEdvId, docId: doc.id, sequence: doc.sequence}),
+      localEdvId,
+      docId: doc.id,
+      sequence: doc.sequence,
+      doc
+    })));
+    // conflicts mean a version was already kept
+    const error = results.find(({error, status}) => error && status !== 409);
+    if(error) {
+      throw error;
+    }
+
+    // remove the oldest versions beyond the maximum
+    const removed = [];
+    for(const docId of new Set(docs.map(({id}) => id))) {
+      const prefix = _createId({localEdvId, docId});
+      const {rows} = await this.client.allDocs(
+        {startkey: prefix, endkey: `${prefix}\ufff0`});
+      removed.push(...rows.slice(0, Math.max(rows.length - maxVersions, 0))
+        .map(({id, value}) => ({_id: id, _rev: value.rev, _deleted: true})));
+    }
+    if(removed.length > 0) {
+      // conflicts mean a version was removed concurrently
+      await this.client.bulkDocs(removed);
+      this._schedulePurge();
+    }
+  }
+
+  /**
+   * Gets the versions that are kept of an EDV document, newest first.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV.
+   * @param {string} options.docId - The ID of the document.
+   *
+   * @returns {Promise<object>} Resolves to `{records}` with the database
+   *   records of the versions.
+   */
+  async list({edvId, docId} = {}) {
+    assert.string(edvId, 'edvId');
+    assert.localId(docId, 'docId');
+
+    const {localId: localEdvId} = parseLocalId({id: edvId});
+    const prefix = _createId({localEdvId, docId});
+    const {rows} = await this.client.allDocs({
+      startkey: `${prefix}\ufff0`, endkey: prefix, descending: true,
+      include_docs: true
+    });
+    return {records: rows.map(({doc}) => doc)};
+  }
+
+  /**
+   * Gets a version of an EDV document.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV.
+   * @param {string} options.docId - The ID of the document.
+   * @param {number} options.sequence - The sequence of the version.
+   *
+   * @returns {Promise<object>} Resolves to the database record.
+   */
+  async get({edvId, docId, sequence} = {}) {
+    assert.string(edvId, 'edvId');
+    assert.localId(docId, 'docId');
+    assert.sequence(sequence, 'sequence');
+
+    const {localId: localEdvId} = parseLocalId({id: edvId});
+    try {
+      return await this.client.get(
+        _createId({localEdvId, docId, sequence}));
+    } catch(e) {
+      if(e.status === 404) {
+        const error = new Error('Document version not found.');
+        error.name = 'NotFoundError';
+        throw error;
+      }
+      throw e;
+    }
+  }
+
+  /**
+   * Removes the history settings of an EDV and every version that was kept
+   * of its documents.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV.
+   *
+   * @returns {Promise<object>} Resolves to `{removed}` with the number of
+   *   versions that were removed.
+   */
+  async removeAll({edvId} = {}) {
+    assert.string(edvId, 'edvId');
+
+    // remove the settings first to stop keeping versions
+    const {localId: localEdvId} = parseLocalId({id: edvId});
+    const settings = await this.getSettings({edvId});
+    if(settings) {
+      await this.client.remove(settings).catch(e => {
+        // a conflict means the settings were removed concurrently
+        if(e.status !== 409) {
+          throw e;
+        }
+      });
+    }
+    const result = await removeByPrefix(
+      {client: this.client, prefix: `${localEdvId}:`});
+
+    // schedule purge operation to clean up deleted docs
+    this._schedulePurge();
+
+    return result;
+  }
+
+  /**
+   * Closes the document history database; it may be initialized again later.
+   *
+   * @returns {Promise} Settles once the operation completes.
+   */
+  async close() {
+    if(!this.client) {
+      return;
+    }
+    const {client} = this;
+    this.client = null;
+    // wait for any purge in progress as it may be using the database
+    await this._purgeOp;
+    await client.close();
+  }
+
+  /**
+   * Destroys the document history database, removing all of its data; it
+   * will be empty if initialized again later.
+   *
+   * @param {object} [options] - The options to use.
+   * @param {string} [options.adapter='indexeddb'] - The PouchDB adapter to
+   *   use if the database has not been initialized.
+   *
+   * @returns {Promise} Settles once the operation completes.
+   */
+  async destroy({adapter} = {}) {
+    let {client} = this;
+    this.client = null;
+    if(client) {
+      await this._purgeOp;
+    } else {
+      client = await createDatabase(
+        {name: COLLECTION_NAME, prefix: this.prefix, adapter});
+    }
+    await client.destroy();
+  }
+
+  _schedulePurge() {
+    if(this._purgeOp) {
+      return;
+    }
+    this._purgeOp = purge({client: this.client})
+      .catch(e => console.error(e))
+      .finally(() => this._purgeOp = null);
+  }
+}
+
+// creates the ID of a version or, w/o `sequence`, the prefix of the IDs of
+// every version of a document
+function _createId({localEdvId, docId, sequence}) {
+  const prefix = `${localEdvId}:${docId}:`;
+  if(sequence === undefined) {
+    return prefix;
+  }
+  return prefix + String(sequence).padStart(SEQUENCE_DIGITS, '0');
+}
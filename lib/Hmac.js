@@ -1,6 +1,7 @@
 /*!
  * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
  */
+import * as hkdf from './hkdf.js';
 import {assert} from './assert.js';
 
 // eslint-disable-next-line no-undef
@@ -48,6 +49,25 @@ export class Hmac {
     return crypto.subtle.verify(key.algorithm, key, signature, data);
   }
 
+  /**
+   * Derives a non-extractable HMAC key from a key derivation key using HKDF,
+   * so its key material is never exposed.
+   *
+   * @param {object} options - The options to use.
+   * @param {CryptoKey} options.kdk - The HKDF key derivation key.
+   * @param {string} options.info - The context-specific information that
+   *   distinguishes the key from other keys derived from `kdk`.
+   *
+   * @returns {Promise<Hmac>} - Resolves to the Hmac.
+   */
+  static async derive({kdk, info} = {}) {
+    const key = await hkdf.deriveKey({
+      key: kdk, info, algorithm: ALGORITHM, extractable: false,
+      usages: KEY_USAGE
+    });
+    return new Hmac({key});
+  }
+
   static async generate() {
     const key = await crypto.subtle.generateKey(
       ALGORITHM, EXTRACTABLE, KEY_USAGE);
@@ -66,9 +66,50 @@ export class Kek {
     }
   }
 
-  static async import({secret} = {}) {
+  /**
+   * Unwraps a cryptographic key as a CryptoKey; unlike `unwrapKey`, the key
+   * material is not exported.
+   *
+   * @param {object} options - The options to use.
+   * @param {Uint8Array} options.wrappedKey - The wrapped key material.
+   * @param {object} options.algorithm - The algorithm of the unwrapped key.
+   * @param {boolean} options.extractable - Whether the unwrapped key can be
+   *   exported (or wrapped again).
+   * @param {Array} options.usages - The usages of the unwrapped key.
+   *
+   * @returns {Promise<CryptoKey>} - Resolves to the key or null if the
+   *   unwrapping fails because the key does not match.
+   */
+  async unwrapCryptoKey({wrappedKey, algorithm, extractable, usages} = {}) {
+    const kek = this.key;
+    try {
+      return await crypto.subtle.unwrapKey(
+        'raw', wrappedKey, kek, kek.algorithm, algorithm, extractable, usages);
+    } catch(e) {
+      // unwrapping key failed
+      return null;
+    }
+  }
+
+  /**
+   * Generates a new AES-KW key encryption key.
+   *
+   * @param {object} [options] - The options to use.
+   * @param {boolean} [options.extractable=true] - Whether the key can be
+   *   exported; a non-extractable key can only be used to wrap and unwrap
+   *   keys.
+   *
+   * @returns {Promise<Kek>} - Resolves to the Kek.
+   */
+  static async generate({extractable = EXTRACTABLE} = {}) {
+    const key = await crypto.subtle.generateKey(
+      {name: 'AES-KW', length: 256}, extractable, ['wrapKey', 'unwrapKey']);
+    return new Kek({key});
+  }
+
+  static async import({secret, extractable = EXTRACTABLE} = {}) {
     const key = await crypto.subtle.importKey(
-      'raw', secret, {name: 'AES-KW', length: 256}, EXTRACTABLE,
+      'raw', secret, {name: 'AES-KW', length: 256}, extractable,
       ['wrapKey', 'unwrapKey']);
     return new Kek({key});
   }
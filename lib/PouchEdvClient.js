@@ -1,13 +1,15 @@
 /*!
- * Copyright (c) 2022-2023 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2022-2026 Digital Bazaar, Inc. All rights reserved.
  */
-import * as edvs from './edvs.js';
 import * as secrets from './secrets.js';
 import {assert} from './assert.js';
 import {EdvClientCore} from '@digitalbazaar/edv-client';
-import {initialize} from './initialize.js';
+import {getDefaultStore} from './EdvStore.js';
 import {PouchTransport} from './PouchTransport.js';
 
+// the default size, in bytes, of stream chunks; matches `edv-client`
+const DEFAULT_CHUNK_SIZE = 1048576;
+
 export class PouchEdvClient extends EdvClientCore {
   /**
    * Creates a new EDV client for connecting to an Encrypted Data Vault (EDV)
@@ -23,12 +25,18 @@ export class PouchEdvClient extends EdvClientCore {
    *   a Promise that resolves a key ID to a DH public key.
    * @param {string} [options.cipherVersion='recommended'] - Sets the cipher
    *   version to either "recommended" or "fips".
+   * @param {object} [options.store] - The store with the databases that
+   *   hold the EDV; defaults to the default store.
    *
    * @returns {PouchEdvClient} - PouchEdvClient.
    */
-  constructor({hmac, id, keyAgreementKey, keyResolver, cipherVersion} = {}) {
+  constructor({
+    hmac, id, keyAgreementKey, keyResolver, cipherVersion,
+    store = getDefaultStore()
+  } = {}) {
     super({hmac, id, keyAgreementKey, keyResolver, cipherVersion});
-    this.transport = new PouchTransport({edvId: this.id});
+    this.store = store;
+    this.transport = new PouchTransport({edvId: this.id, store});
     // create a transport for marking tombstoned EDV docs as deleted to
     // improve pouchdb index performance
     this._deleteTransport = Object.create(this.transport);
@@ -72,14 +80,82 @@ export class PouchEdvClient extends EdvClientCore {
    *   encrypt the document for; if present, recipients will be added to any
    *   existing recipients; to remove existing recipients, modify the
    *   `encryptedDoc.jwe.recipients` field.
+   * @param {number} [options.resumeFrom] - The index of the chunk to resume
+   *   an interrupted upload of the document's stream from; every chunk before
+   *   it must already be stored with the document's current sequence (see
+   *   `getChunkIndexes`). `doc` must be the current document and `stream`
+   *   must provide all of the data, with the same `chunkSize`, but the data
+   *   of the stored chunks is skipped rather than encrypted and stored again.
    *
    * @returns {Promise<object>} - Resolves to the updated document.
    */
-  async update({doc, stream, chunkSize, recipients = []} = {}) {
+  async update({doc, stream, chunkSize, recipients = [], resumeFrom} = {}) {
     const {transport} = this;
+    if(resumeFrom !== undefined) {
+      return this._resumeStream(
+        {doc, stream, chunkSize, recipients, resumeFrom});
+    }
     return super.update({doc, stream, chunkSize, recipients, transport});
   }
 
+  /**
+   * Gets the indexes of the chunks of a document that are stored with the
+   * current sequence of the document, e.g., to determine the chunk to resume
+   * an interrupted upload of the document's stream from via
+   * `update({resumeFrom})`.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the document.
+   *
+   * @returns {Promise<object>} - Resolves to `{sequence, indexes}` with the
+   *   current sequence of the document and the indexes of its stored chunks
+   *   with that sequence, in ascending order.
+   */
+  async getChunkIndexes({id} = {}) {
+    return this.transport.getChunkIndexes({docId: id});
+  }
+
+  /**
+   * Encrypts and inserts many documents into the EDV in a single batch. A
+   * document is only inserted if its ID and unique attributes are not used by
+   * any existing document or by any document earlier in the batch. Streams
+   * are not supported; use `insert` to insert a document with a stream.
+   *
+   * @param {object} options - The options to use.
+   * @param {object[]} options.docs - The documents to insert.
+   * @param {object[]} [options.recipients=[]] - A set of JWE recipients
+   *   to encrypt the documents for; if not present, a default recipient will
+   *   be added using `this.keyAgreementKey` and if no `keyAgreementKey` is
+   *   set, an error will be reported for each document.
+   *
+   * @returns {Promise<object>} - Resolves to `{results}` with a result for
+   *   each document, in order: `{document}` with the inserted document or
+   *   `{error}` if it could not be inserted.
+   */
+  async insertMany({docs, recipients = []} = {}) {
+    return this._writeMany({docs, recipients, update: false});
+  }
+
+  /**
+   * Encrypts and updates many documents in the EDV in a single batch; any
+   * document that does not exist will be inserted. Each document must have
+   * the current `sequence` of the document it updates. Streams are not
+   * supported; use `update` to update a document with a stream.
+   *
+   * @param {object} options - The options to use.
+   * @param {object[]} options.docs - The documents to update.
+   * @param {object[]} [options.recipients=[]] - A set of JWE recipients to
+   *   encrypt the documents for; if present, recipients will be added to any
+   *   existing recipients.
+   *
+   * @returns {Promise<object>} - Resolves to `{results}` with a result for
+   *   each document, in order: `{document}` with the updated document or
+   *   `{error}` if it could not be updated.
+   */
+  async updateMany({docs, recipients = []} = {}) {
+    return this._writeMany({docs, recipients, update: true});
+  }
+
   /**
    * @inheritdoc
    *
@@ -111,18 +187,59 @@ export class PouchEdvClient extends EdvClientCore {
     return super.get({id, transport});
   }
 
+  /**
+   * Gets and decrypts many documents in a single batch.
+   *
+   * @param {object} options - The options to use.
+   * @param {string[]} options.ids - The IDs of the documents to get.
+   *
+   * @returns {Promise<object>} - Resolves to `{results}` with a result for
+   *   each ID, in order: `{document}` with the document or `{error}` if it
+   *   could not be found (a `NotFoundError`) or decrypted.
+   */
+  async getMany({ids} = {}) {
+    const {keyAgreementKey, transport} = this;
+    const {results} = await transport.getMany({ids});
+    return {
+      results: await Promise.all(results.map(async ({document, error}) => {
+        if(error) {
+          return {error};
+        }
+        try {
+          return {
+            document: await this._decrypt(
+              {encryptedDoc: document, keyAgreementKey})
+          };
+        } catch(e) {
+          return {error: e};
+        }
+      }))
+    };
+  }
+
   /**
    * @inheritdoc
    *
+   * If `start` or `end` is given, only the chunks that cover the byte range
+   * from `start` up to, but not including, `end` are fetched and decrypted
+   * and the stream only provides the bytes in that range.
+   *
    * @param {object} options - The options to use.
    * @param {object} options.doc - The document to get a stream for.
+   * @param {number} [options.start=0] - The offset, in bytes, of the first
+   *   byte to read.
+   * @param {number} [options.end] - The offset, in bytes, to stop reading at
+   *   (exclusive); defaults to the end of the data.
    *
    * @returns {Promise<ReadableStream>} - Resolves to a `ReadableStream` to
    *   read the chunked data from.
    */
-  async getStream({doc} = {}) {
+  async getStream({doc, start, end} = {}) {
     const {transport} = this;
-    return super.getStream({doc, transport});
+    if(start === undefined && end === undefined) {
+      return super.getStream({doc, transport});
+    }
+    return this._getRangeStream({doc, start, end});
   }
 
   /**
@@ -135,33 +252,412 @@ export class PouchEdvClient extends EdvClientCore {
    *   attribute pairs to match or an array of such objects.
    * @param {string|Array} [options.has] - A string with an attribute name to
    *   match or an array of such strings.
+   * @param {object} [options.not] - A query with `equals`, `has`, `not`,
+   *   and/or `or` that matching documents must not match.
+   * @param {Array} [options.or] - An array of queries with `equals`, `has`,
+   *   `not`, and/or `or`; matching documents must match any one of them.
    *
    * @returns {Promise<number>} - Resolves to the number of matching documents.
   */
-  async count({equals, has} = {}) {
-    const {transport} = this;
-    return super.count({equals, has, transport});
+  async count({equals, has, not, or} = {}) {
+    const {count} = await this.find({equals, has, not, or, count: true});
+    return count;
   }
 
   /**
-   * @inheritdoc
+   * Finds documents based on their attributes. A document matches if it
+   * matches all of the given `equals`, `has`, `not`, and `or` filters; at
+   * least one of these must be given.
+   *
+   * The `equals` filter is an object with key-value attribute pairs. Any
+   * document that matches *all* given key-value attribute pairs will match.
+   * If `equals` is an array, it may contain multiple such filters --
+   * whereby a document that matches any one of the filters will match.
+   *
+   * The `has` filter is a string representing the attribute name or an
+   * array of such strings. If an array is used, then only documents that
+   * possess *all* of the attributes listed will match.
+   *
+   * The `not` filter is a nested query with `equals`, `has`, `not`, and/or
+   * `or` that a document must *not* match, e.g., `{has: 'content.x', not:
+   * {has: 'content.y'}}` matches documents with `content.x` but without
+   * `content.y`.
+   *
+   * The `or` filter is an array of nested queries; a document that matches
+   * any one of them will match.
    *
    * @param {object} options - The options to use.
    * @param {object|Array} [options.equals] - An object with key-value
    *   attribute pairs to match or an array of such objects.
    * @param {string|Array} [options.has] - A string with an attribute name to
    *   match or an array of such strings.
+   * @param {object} [options.not] - A query with `equals`, `has`, `not`,
+   *   and/or `or` that matching documents must not match.
+   * @param {Array} [options.or] - An array of queries with `equals`, `has`,
+   *   `not`, and/or `or`; matching documents must match any one of them.
    * @param {boolean} [options.count] - Set to `false` to find all documents
    *   that match a query or to `true` to give a count of documents.
    * @param {number} [options.limit] - Set to limit the number of documents
    *   to be returned from a query (min=1, max=1000).
+   * @param {string} [options.cursor] - The `cursor` from a previous result to
+   *   get the next page of matching documents.
    *
-   * @returns {Promise<object>} - Resolves to the matching documents:
-   *   {documents: [...]}.
+   * @returns {Promise<object>} - Resolves to the matching documents, in
+   *   order of ID: `{documents: [...]}`; if `limit` is given, `hasMore` is
+   *   also set and, if `hasMore` is `true`, so is the `cursor` for the next
+   *   page.
    */
-  async find({equals, has, count = false, limit} = {}) {
-    const {transport} = this;
-    return super.find({equals, has, count, limit, transport});
+  async find({
+    equals, has, not, or, count = false, limit, cursor
+  } = {}) {
+    _assertLimit(limit);
+
+    /* Note: `EdvClientCore` only supports queries with exactly one of
+    `equals` or `has`, so queries are built and sent to the transport here. */
+    const {hmac, indexHelper, keyAgreementKey, transport} = this;
+    const query = await _buildQuery({hmac, indexHelper, equals, has, not, or});
+    if(count) {
+      query.count = true;
+      return transport.find({query});
+    }
+    if(limit !== undefined) {
+      query.limit = limit;
+    }
+    if(cursor !== undefined) {
+      query.cursor = cursor;
+    }
+    const result = await transport.find({query});
+    result.documents = await Promise.all(result.documents.map(
+      encryptedDoc => this._decrypt({encryptedDoc, keyAgreementKey})));
+    return result;
+  }
+
+  /**
+   * Lists the documents in the EDV in order of document ID, including those
+   * without any indexed attributes, e.g., for backup, debugging, or
+   * migration tooling. Documents are not decrypted; use `getMany` to get
+   * them.
+   *
+   * Deleted documents are only listed if `includeDeleted` is `true`; these
+   * are listed from the tombstones kept for them in the local database until
+   * they are written again or the EDV is deleted.
+   *
+   * @param {object} options - The options to use.
+   * @param {number} [options.limit] - Set to limit the number of documents
+   *   to be listed (min=1, max=1000).
+   * @param {string} [options.cursor] - The `cursor` from a previous result to
+   *   list the next page of documents.
+   * @param {boolean} [options.includeDeleted=false] - Set to `true` to also
+   *   list deleted documents.
+   *
+   * @returns {Promise<object>} - Resolves to `{entries}` with an entry
+   *   `{id, sequence, deleted}` for each document; if `limit` is given,
+   *   `hasMore` is also set and, if `hasMore` is `true`, so is the `cursor`
+   *   for the next page.
+   */
+  async listDocuments({limit, cursor, includeDeleted = false} = {}) {
+    _assertLimit(limit);
+    return this.transport.listDocuments({limit, cursor, includeDeleted});
+  }
+
+  /**
+   * Watches for changes to the documents in the EDV. Each change is yielded
+   * as an event `{type, seq, document}`, where `type` is one of `insert`,
+   * `update`, or `delete` and `document` is the changed document. The `seq`
+   * of an event may be passed as `since` to resume watching after it.
+   *
+   * Only the latest change to a document is yielded when several changes are
+   * made to it before its changes are read. Watching ends when the returned
+   * iterator is returned from (e.g., via `break` in a `for await` loop) or
+   * when `signal` is aborted.
+   *
+   * Deleted documents have no attributes left to match a query, so a
+   * `delete` event is yielded for every document deleted from the EDV.
+   *
+   * @see find - For more detailed documentation on the search options.
+   *
+   * @param {object} options - The options to use.
+   * @param {object|Array} [options.equals] - An object with key-value
+   *   attribute pairs to match or an array of such objects.
+   * @param {string|Array} [options.has] - A string with an attribute name to
+   *   match or an array of such strings.
+   * @param {object} [options.not] - A query with `equals`, `has`, `not`,
+   *   and/or `or` that matching documents must not match.
+   * @param {Array} [options.or] - An array of queries with `equals`, `has`,
+   *   `not`, and/or `or`; matching documents must match any one of them.
+   * @param {number|string} [options.since='now'] - The sequence to start
+   *   watching after; `0` yields every document and `'now'` only changes
+   *   that are made from now on.
+   * @param {boolean} [options.decrypt=true] - Set to `false` to yield
+   *   encrypted documents.
+   * @param {AbortSignal} [options.signal] - A signal to stop watching.
+   *
+   * @returns {object} - An async iterator that yields change events.
+   */
+  async* watch({
+    equals, has, not, or, since, decrypt = true, signal
+  } = {}) {
+    const {hmac, indexHelper, keyAgreementKey, transport} = this;
+    let query;
+    if(!(equals === undefined && has === undefined &&
+      not === undefined && or === undefined)) {
+      query = await _buildQuery({hmac, indexHelper, equals, has, not, or});
+    }
+    for await (const event of transport.watch({query, since, signal})) {
+      if(decrypt) {
+        event.document = await this._decrypt(
+          {encryptedDoc: event.document, keyAgreementKey});
+      }
+      yield event;
+    }
+  }
+
+  /**
+   * Enables history for the EDV: when a document is updated or deleted, the
+   * encrypted version it replaces is kept, up to `maxVersions` per document,
+   * so that it can be restored via `restore`. Stream data is not kept.
+   *
+   * @param {object} [options] - The options to use.
+   * @param {number} [options.maxVersions=10] - The maximum number of versions
+   *   to keep of each document.
+   *
+   * @returns {Promise<object>} - Resolves to the history settings:
+   *   `{maxVersions}`.
+   */
+  async enableHistory({maxVersions} = {}) {
+    return this.transport.enableHistory({maxVersions});
+  }
+
+  /**
+   * Disables history for the EDV and removes every version that was kept.
+   *
+   * @returns {Promise<object>} - Resolves to `{removed}` with the number of
+   *   versions that were removed.
+   */
+  async disableHistory() {
+    return this.transport.disableHistory();
+  }
+
+  /**
+   * Gets the versions of a document that were kept since history was enabled
+   * for the EDV, newest first. The current version of the document is not
+   * included.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the document.
+   *
+   * @returns {Promise<object>} - Resolves to `{documents}` with the versions
+   *   of the document.
+   */
+  async getHistory({id} = {}) {
+    const {keyAgreementKey, transport} = this;
+    const {documents} = await transport.getHistory({id});
+    return {
+      documents: await Promise.all(documents.map(
+        encryptedDoc => this._decrypt({encryptedDoc, keyAgreementKey})))
+    };
+  }
+
+  /**
+   * Restores a version of a document that was kept in its history (see
+   * `getHistory`) by updating the document with the content and meta data
+   * of that version; the document receives a new, higher sequence. A deleted
+   * document may also be restored.
+   *
+   * The stream of the current document, if any, is kept as stream data is
+   * not kept in the history.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the document.
+   * @param {number} options.sequence - The sequence of the version to
+   *   restore.
+   *
+   * @returns {Promise<object>} - Resolves to the updated document.
+   */
+  async restore({id, sequence} = {}) {
+    assert.sequence(sequence, 'sequence');
+    const {keyAgreementKey, transport} = this;
+    const {documents} = await transport.getHistory({id});
+    const encryptedDoc = documents.find(doc => doc.sequence === sequence);
+    if(!encryptedDoc) {
+      const error = new Error('Document version not found.');
+      error.name = 'NotFoundError';
+      throw error;
+    }
+    const version = await this._decrypt({encryptedDoc, keyAgreementKey});
+
+    let current;
+    try {
+      current = await this.get({id});
+    } catch(e) {
+      if(e.name !== 'NotFoundError') {
+        throw e;
+      }
+    }
+    // a deleted document was deleted by the update that followed the newest
+    // kept version
+    const doc = {
+      ...version,
+      sequence: current ? current.sequence : documents[0].sequence + 1
+    };
+    delete doc.stream;
+    if(current?.stream !== undefined) {
+      doc.stream = current.stream;
+    }
+    return this.update({doc});
+  }
+
+  /**
+   * Enables the trash for the EDV: when a document is deleted, the version
+   * that was deleted is moved to the trash, from which it can be restored
+   * via `restoreFromTrash` until its retention period passes. Documents are
+   * swept from the trash in the background once their retention period
+   * passes.
+   *
+   * @param {object} [options] - The options to use.
+   * @param {number} [options.retention=2592000000] - The number of
+   *   milliseconds to keep deleted documents for (defaults to 30 days).
+   *
+   * @returns {Promise<object>} - Resolves to the trash settings:
+   *   `{retention}`.
+   */
+  async enableTrash({retention} = {}) {
+    return this.transport.enableTrash({retention});
+  }
+
+  /**
+   * Disables the trash for the EDV and empties it.
+   *
+   * @returns {Promise<object>} - Resolves to `{removed}` with the number of
+   *   documents that were removed from the trash.
+   */
+  async disableTrash() {
+    return this.transport.disableTrash();
+  }
+
+  /**
+   * Lists the documents in the trash of the EDV.
+   *
+   * @returns {Promise<object>} - Resolves to `{entries}` with an entry
+   *   `{document, deletedAt, expires}` for each document in the trash, where
+   *   `document` is the version of the document that was deleted and
+   *   `deletedAt` and `expires` are times in milliseconds since the epoch.
+   */
+  async listTrash() {
+    const {keyAgreementKey, transport} = this;
+    const {entries} = await transport.listTrash();
+    return {
+      entries: await Promise.all(entries.map(async entry => ({
+        ...entry,
+        document: await this._decrypt(
+          {encryptedDoc: entry.document, keyAgreementKey})
+      })))
+    };
+  }
+
+  /**
+   * Restores a deleted document from the trash by updating the document with
+   * the content and meta data of the version that was deleted; the document
+   * receives a new, higher sequence and is removed from the trash.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the document.
+   *
+   * @returns {Promise<object>} - Resolves to the restored document.
+   */
+  async restoreFromTrash({id} = {}) {
+    const {keyAgreementKey, transport} = this;
+    const encryptedDoc = await transport.getTrashed({id});
+    const version = await this._decrypt({encryptedDoc, keyAgreementKey});
+    // the document was deleted by the update that followed the trashed
+    // version
+    const doc = await this.update(
+      {doc: {...version, sequence: version.sequence + 1}});
+    await transport.removeTrashed({id});
+    return doc;
+  }
+
+  /**
+   * Changes the password of the locally stored secret that the keys of the
+   * EDV are derived from. The keys do not change, so the documents in the
+   * EDV remain readable and this client can continue to be used.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.oldPassword - The current password.
+   * @param {string} options.newPassword - The new password.
+   *
+   * @returns {Promise} - Settles once the operation completes.
+   */
+  async changePassword({oldPassword, newPassword} = {}) {
+    // the EDV ID is the secret ID
+    const {id, store} = this;
+    const {config} = await store.secrets.get({id});
+    const newConfig = await secrets.rewrap({config, oldPassword, newPassword});
+    if(!newConfig) {
+      throw new Error('Invalid password.');
+    }
+    await store.secrets.update({config: newConfig});
+  }
+
+  /**
+   * Remembers this device so that the EDV can be unlocked on it without a
+   * password via `fromLocalSecrets()`. A non-extractable device key is
+   * generated and stored in the store's device key database and a key slot
+   * that is unlocked by it is added to the locally stored secret of the EDV.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} [options.password] - The password of the secret.
+   * @param {string} [options.recoveryCode] - A recovery code of the secret,
+   *   to use instead of the password.
+   * @param {string} [options.label='device'] - The label of the key slot.
+   *
+   * @returns {Promise} - Settles once the operation completes.
+   */
+  async rememberDevice({password, recoveryCode, label = 'device'} = {}) {
+    // the EDV ID is the secret ID
+    const {id, store} = this;
+    const deviceKey = await secrets.generateDeviceKey();
+    await store.deviceKeys.insert(deviceKey);
+    try {
+      const {config} = await store.secrets.get({id});
+      const newConfig = await secrets.addSlot(
+        {config, password, recoveryCode, label, newDeviceKey: deviceKey});
+      if(!newConfig) {
+        throw new Error(recoveryCode === undefined ?
+          'Invalid password.' : 'Invalid recovery code.');
+      }
+      await store.secrets.update({config: newConfig});
+    } catch(e) {
+      await store.deviceKeys.remove({id: deviceKey.id});
+      throw e;
+    }
+  }
+
+  /**
+   * Forgets this device: the device key that was stored by `rememberDevice()`
+   * is removed, so the EDV can no longer be unlocked without a password, and
+   * so is its key slot.
+   *
+   * @param {object} [options] - The options to use.
+   * @param {string} [options.label='device'] - The label of the key slot.
+   *
+   * @returns {Promise} - Settles once the operation completes.
+   */
+  async forgetDevice({label = 'device'} = {}) {
+    // the EDV ID is the secret ID
+    const {id, store} = this;
+    const {config} = await store.secrets.get({id});
+    const slot = config.secret.slots?.find(s => s.label === label);
+    if(slot?.type !== 'deviceKey') {
+      const error = new Error('Device key slot not found.');
+      error.name = 'NotFoundError';
+      throw error;
+    }
+    // remove the device key first to revoke the slot even if removing the
+    // slot fails
+    await store.deviceKeys.remove({id: slot.keyId});
+    await store.secrets.update(
+      {config: await secrets.removeSlot({config, label})});
   }
 
   /**
@@ -198,13 +694,17 @@ export class PouchEdvClient extends EdvClientCore {
    *   the EDV should be generated and stored locally in encrypted storage.
    * @param {string} [options.cipherVersion='recommended'] - Sets the cipher
    *   version to either "recommended" or "fips".
+   * @param {object} [options.store] - The store to create the EDV in;
+   *   defaults to the default store.
    *
    * @returns {Promise<object>} - Resolves to an object with:
    *   `{config, edvClient}`; `edvClient` will be set if `password` is passed.
    */
-  static async createEdv({config, password, cipherVersion} = {}) {
+  static async createEdv({
+    config, password, cipherVersion, store = getDefaultStore()
+  } = {}) {
     // initialize EDV databases (if not already initialized)
-    await initialize();
+    await store.initialize();
 
     let edvClient;
     if(password !== undefined) {
@@ -217,7 +717,7 @@ export class PouchEdvClient extends EdvClientCore {
       // generate encrypted secret, use the EDV ID as the secret's ID ... if
       // it already exists, try to reuse it
       const {hmac, keyAgreementKey} = await _lazyCreateSecret({
-        id: config.id, password, cipherVersion
+        id: config.id, password, cipherVersion, store
       });
       config = {
         ...config,
@@ -229,43 +729,65 @@ export class PouchEdvClient extends EdvClientCore {
         keyResolver: await _createKeyResolver({
           keyAgreementKey, edvConfig: config
         }),
-        cipherVersion
+        cipherVersion,
+        store
       });
     }
 
     assert.edvConfig(config);
-    const transport = new PouchTransport({edvId: config.id});
+    const transport = new PouchTransport({edvId: config.id, store});
     const newConfig = await transport.createEdv({config});
     return {config: newConfig, edvClient};
   }
 
   /**
    * Creates a new EDV client based on encrypted secrets saved in a local
-   * PouchDB instance. The password to decrypt the secrets must be given.
+   * PouchDB instance. Either the password or a recovery code that was added
+   * to the secrets (see `secrets.addSlot()`) may be given to decrypt them;
+   * if neither is given, they are decrypted using a device key stored by
+   * `rememberDevice()`.
    *
    * @param {object} options - The options to use.
    * @param {string} [options.edvId] - The ID of the EDV.
    * @param {string} [options.password] - The password to use to decrypt
    *   the secrets.
+   * @param {string} [options.recoveryCode] - The recovery code to use to
+   *   decrypt the secrets instead of the password.
+   * @param {object} [options.store] - The store that holds the EDV and its
+   *   secrets; defaults to the default store.
    *
    * @returns {PouchEdvClient} - PouchEdvClient.
    */
-  static async fromLocalSecrets({edvId, password} = {}) {
+  static async fromLocalSecrets({
+    edvId, password, recoveryCode, store = getDefaultStore()
+  } = {}) {
     // initialize EDV databases (if not already initialized)
-    await initialize();
+    await store.initialize();
 
     // start getting EDV config
-    const edvConfigPromise = edvs.get({id: edvId});
+    const edvConfigPromise = store.edvs.get({id: edvId});
     edvConfigPromise.catch(e => e);
 
     // load secret using the EDV ID as the secret ID
-    const {config} = await secrets.get({id: edvId});
-    const result = await secrets.decrypt({config, password});
-    if(!result) {
-      throw new Error('Invalid password.');
+    const {config} = await store.secrets.get({id: edvId});
+    let result;
+    if(password === undefined && recoveryCode === undefined) {
+      result = await _decryptWithDeviceKey({config, store});
+    } else {
+      result = await secrets.decrypt({config, password, recoveryCode});
+      if(!result) {
+        throw new Error(recoveryCode === undefined ?
+          'Invalid password.' : 'Invalid recovery code.');
+      }
     }
     const {hmac, keyAgreementKey, cipherVersion} = result;
 
+    // now that the password is known, upgrade the secret if it is outdated;
+    // outdated secrets can only be unlocked w/a password
+    if(password !== undefined && secrets.needsUpgrade({config})) {
+      await _upgradeSecret({config, password, store});
+    }
+
     // finish getting EDV config
     const edvConfigResult = await edvConfigPromise;
     if(edvConfigResult instanceof Error) {
@@ -276,10 +798,30 @@ export class PouchEdvClient extends EdvClientCore {
     return new PouchEdvClient({
       hmac, id: config.id, keyAgreementKey,
       keyResolver: await _createKeyResolver({keyAgreementKey, edvConfig}),
-      cipherVersion
+      cipherVersion,
+      store
     });
   }
 
+  /**
+   * Deletes an EDV and all of its data from local storage: its configuration,
+   * documents, document chunks, document history, trash, and any locally
+   * stored secrets.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the EDV.
+   * @param {object} [options.store] - The store that holds the EDV; defaults
+   *   to the default store.
+   *
+   * @returns {Promise<boolean>} - Resolves to `true` if the EDV was deleted,
+   *   `false` if its configuration was not found.
+   */
+  static async deleteEdv({id, store = getDefaultStore()} = {}) {
+    // initialize EDV databases (if not already initialized)
+    await store.initialize();
+    return store.deleteEdv({id});
+  }
+
   /**
    * Generates a multibase encoded random 128-bit identifier for a document.
    *
@@ -288,6 +830,239 @@ export class PouchEdvClient extends EdvClientCore {
   static async generateId() {
     return EdvClientCore.generateId();
   }
+
+  async _getRangeStream({doc, start = 0, end}) {
+    assert.object(doc, 'doc');
+    assert.localId(doc.id, 'doc.id');
+    assert.object(doc.stream, 'doc.stream');
+    assert.nonNegativeSafeInteger(start, 'start');
+    if(end !== undefined) {
+      assert.nonNegativeSafeInteger(end, 'end');
+    }
+    const {cipher, keyAgreementKey, transport} = this;
+    const {id: docId, stream: {sequence, chunks}} = doc;
+
+    // find the chunks that cover the range from their offsets; chunk `i`
+    // covers the bytes from `offsets[i - 1]` (or `0`) up to `offsets[i]`
+    const {offsets} = await transport.getChunkOffsets({docId, sequence});
+    offsets.length = chunks;
+    if(offsets.includes(undefined)) {
+      const error = new Error('Document chunk not found.');
+      error.name = 'NotFoundError';
+      throw error;
+    }
+    end = Math.min(end ?? Infinity, offsets.at(-1) ?? 0);
+    const first = offsets.findIndex(offset => offset > start);
+    if(first === -1 || start >= end) {
+      // empty range
+      return new ReadableStream({start: controller => controller.close()});
+    }
+    const last = offsets.findIndex(offset => offset >= end);
+
+    let chunkIndex = first;
+    const stream = new ReadableStream({
+      async pull(controller) {
+        if(chunkIndex > last) {
+          controller.close();
+          return;
+        }
+        const chunk = await transport.getChunk({docId, chunkIndex});
+        chunkIndex++;
+        controller.enqueue(chunk);
+      }
+    });
+    const decryptStream = await cipher.createDecryptStream({keyAgreementKey});
+    // trim the data of the first and last chunks to the range
+    const skipped = start - (first === 0 ? 0 : offsets[first - 1]);
+    return stream
+      .pipeThrough(decryptStream)
+      .pipeThrough(_createSliceStream({skipped, length: end - start}));
+  }
+
+  async _resumeStream({
+    doc, stream, chunkSize = DEFAULT_CHUNK_SIZE, recipients, resumeFrom
+  }) {
+    assert.object(doc, 'doc');
+    assert.object(stream, 'stream');
+    assert.nonNegativeSafeInteger(resumeFrom, 'resumeFrom');
+    const {hmac, keyAgreementKey, keyResolver, transport} = this;
+
+    // ensure every chunk to skip is stored with the document's sequence
+    const {sequence, indexes} = await transport.getChunkIndexes(
+      {docId: doc.id});
+    const stored = new Set(indexes);
+    for(let index = 0; index < resumeFrom; ++index) {
+      if(sequence !== doc.sequence || !stored.has(index)) {
+        const error = new Error(
+          `Could not resume upload; chunk ${index} is not stored with the ` +
+          'sequence of the document.');
+        error.name = 'InvalidStateError';
+        throw error;
+      }
+    }
+
+    // if no recipients specified, add default
+    if(recipients.length === 0 && keyAgreementKey) {
+      recipients = this._createDefaultRecipients(keyAgreementKey);
+    }
+
+    // encrypt and store the chunks after those skipped, using their indexes
+    // and offsets in the whole stream
+    const skipped = resumeFrom * chunkSize;
+    const encryptStream = await this.cipher.createEncryptStream(
+      {recipients: recipients.slice(), keyResolver, chunkSize});
+    const reader = stream
+      .pipeThrough(_createSkipStream({skipped, chunkSize}))
+      .pipeThrough(encryptStream)
+      .getReader();
+    let chunks = resumeFrom;
+    while(true) {
+      const {value, done} = await reader.read();
+      if(done) {
+        break;
+      }
+      const chunk = {
+        sequence: doc.sequence,
+        ...value,
+        index: value.index + resumeFrom,
+        offset: value.offset + skipped
+      };
+      await transport.storeChunk({docId: doc.id, chunk});
+      chunks++;
+    }
+
+    // write total number of chunks in doc update
+    return super.update({
+      doc: {...doc, stream: {sequence: doc.sequence, chunks}},
+      recipients, keyResolver, keyAgreementKey, hmac, transport
+    });
+  }
+
+  async _writeMany({docs, recipients, update}) {
+    assert.array(docs, 'docs');
+    const {hmac, keyAgreementKey, keyResolver, transport} = this;
+
+    // if no recipients specified, add default
+    if(recipients.length === 0 && keyAgreementKey) {
+      recipients = this._createDefaultRecipients(keyAgreementKey);
+    }
+
+    // encrypt every document, reporting any that cannot be encrypted
+    const results = new Array(docs.length);
+    const entries = (await Promise.all(docs.map(async (doc, i) => {
+      try {
+        assert.object(doc, 'doc');
+        doc = {...doc};
+        if(update) {
+          assert.localId(doc.id, 'doc.id');
+        } else if(doc.id === undefined) {
+          doc.id = await this.generateId();
+        }
+        const encrypted = await this._encrypt(
+          {doc, recipients, keyResolver, hmac, update});
+        return {i, doc, encrypted};
+      } catch(e) {
+        results[i] = {error: e};
+      }
+    }))).filter(entry => entry);
+
+    const encrypted = entries.map(({encrypted}) => encrypted);
+    const {results: written} = update ?
+      await transport.updateMany({encrypted}) :
+      await transport.insertMany({encrypted});
+    for(const [j, {error}] of written.entries()) {
+      const {i, doc, encrypted} = entries[j];
+      if(error) {
+        results[i] = {error};
+        continue;
+      }
+      // include (cleartext) content like `insert` and `update` do
+      const document = {...encrypted, content: doc.content, meta: doc.meta};
+      if(doc.stream !== undefined) {
+        document.stream = doc.stream;
+      }
+      results[i] = {document};
+    }
+    return {results};
+  }
+}
+
+// creates a stream that skips the first `skipped` bytes of the data piped
+// through it, which must end within the last skipped chunk or after it
+function _createSkipStream({skipped, chunkSize}) {
+  let remaining = skipped;
+  return new TransformStream({
+    transform(data, controller) {
+      if(remaining >= data.length) {
+        remaining -= data.length;
+        return;
+      }
+      controller.enqueue(data.subarray(remaining));
+      remaining = 0;
+    },
+    flush() {
+      if(remaining >= chunkSize) {
+        const error = new Error(
+          '"stream" ended before the data of the stored chunks.');
+        error.name = 'DataError';
+        throw error;
+      }
+    }
+  });
+}
+
+// creates a stream that skips the first `skipped` bytes of the data piped
+// through it and then provides up to `length` bytes
+function _createSliceStream({skipped, length}) {
+  let remaining = length;
+  return new TransformStream({
+    transform(data, controller) {
+      if(skipped >= data.length) {
+        skipped -= data.length;
+        return;
+      }
+      data = data.subarray(skipped, skipped + remaining);
+      skipped = 0;
+      remaining -= data.length;
+      if(data.length > 0) {
+        controller.enqueue(data);
+      }
+    }
+  });
+}
+
+function _assertLimit(limit) {
+  if(limit !== undefined &&
+    !(Number.isSafeInteger(limit) && limit >= 1 && limit <= 1000)) {
+    throw new Error('"limit" must be an integer >= 1 and <= 1000.');
+  }
+}
+
+// builds a query w/blinded attributes from `equals`, `has`, and nested `not`
+// and `or` queries
+async function _buildQuery({hmac, indexHelper, ...clauses}) {
+  return {
+    index: hmac?.id,
+    ...await _blindClauses({hmac, indexHelper, ...clauses})
+  };
+}
+
+async function _blindClauses({hmac, indexHelper, equals, has, not, or}) {
+  const clauses = {};
+  if(equals !== undefined) {
+    ({equals: clauses.equals} = await indexHelper.buildQuery({hmac, equals}));
+  }
+  if(has !== undefined) {
+    ({has: clauses.has} = await indexHelper.buildQuery({hmac, has}));
+  }
+  if(not !== undefined) {
+    clauses.not = await _blindClauses({hmac, indexHelper, ...not});
+  }
+  if(or !== undefined) {
+    clauses.or = await Promise.all(
+      or.map(q => _blindClauses({hmac, indexHelper, ...q})));
+  }
+  return clauses;
 }
 
 async function _createKeyResolver({keyAgreementKey, edvConfig} = {}) {
@@ -304,20 +1079,63 @@ async function _createKeyResolver({keyAgreementKey, edvConfig} = {}) {
   };
 }
 
+// decrypts a secret using any device key of its key slots that is stored on
+// this device
+async function _decryptWithDeviceKey({config, store} = {}) {
+  for(const {type, keyId} of config.secret.slots ?? []) {
+    if(type !== 'deviceKey') {
+      continue;
+    }
+    let deviceKey;
+    try {
+      deviceKey = await store.deviceKeys.get({id: keyId});
+    } catch(e) {
+      if(e.name === 'NotFoundError') {
+        continue;
+      }
+      throw e;
+    }
+    const result = await secrets.decrypt({config, deviceKey});
+    if(result) {
+      return result;
+    }
+  }
+  const error = new Error(
+    'No device key found; a password or recovery code is required.');
+  error.name = 'NotFoundError';
+  throw error;
+}
+
+// re-encrypts a secret w/the latest secret version; a failure to upgrade does
+// not prevent unlocking as the upgrade is retried on the next unlock
+async function _upgradeSecret({config, password, store} = {}) {
+  try {
+    const newConfig = await secrets.rewrap(
+      {config, oldPassword: password, newPassword: password});
+    await store.secrets.update({config: newConfig});
+  } catch(e) {
+    // a sequence mismatch means the secret was changed concurrently (e.g.,
+    // upgraded in another tab)
+    if(e.name !== 'InvalidStateError') {
+      console.error(e);
+    }
+  }
+}
+
 // called during EDV creation
-async function _lazyCreateSecret({id, password, cipherVersion} = {}) {
+async function _lazyCreateSecret({id, password, cipherVersion, store} = {}) {
   // generate encrypted secret, use the EDV ID as the secret's ID
   const {hmac, keyAgreementKey, config} = await secrets.generate(
     {id, password, cipherVersion});
   try {
-    await secrets.insert({config});
+    await store.secrets.insert({config});
     return {hmac, keyAgreementKey, config};
   } catch(e) {
     if(e.name === 'ConstraintError') {
       // secret already exists... if EDV config already exists, throw a
       // duplicate error
       try {
-        await edvs.get({id});
+        await store.edvs.get({id});
         const error = new Error('Duplicate EDV configuration.');
         error.name = 'DuplicateError';
         throw error;
@@ -329,7 +1147,7 @@ async function _lazyCreateSecret({id, password, cipherVersion} = {}) {
 
       // try to load existing secret and reuse it as it doesn't have a
       // matching EDV config yet
-      const {config} = await secrets.get({id});
+      const {config} = await store.secrets.get({id});
       const result = await secrets.decrypt({config, password});
       if(!result) {
         throw new Error(
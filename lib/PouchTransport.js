@@ -1,9 +1,7 @@
 /*!
- * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2022-2026 Digital Bazaar, Inc. All rights reserved.
  */
-import * as chunks from './chunks.js';
-import * as docs from './docs.js';
-import * as edvs from './edvs.js';
+import {getDefaultStore} from './EdvStore.js';
 
 export class PouchTransport {
   /**
@@ -12,11 +10,14 @@ export class PouchTransport {
    *
    * @param {object} options - The options to use.
    * @param {string} [options.edvId] - The ID of the target EDV.
+   * @param {object} [options.store] - The store with the databases to use;
+   *   defaults to the default store.
    *
    * @returns {PouchTransport} - PouchTransport.
    */
-  constructor({edvId} = {}) {
+  constructor({edvId, store = getDefaultStore()} = {}) {
     this.edvId = edvId;
+    this.store = store;
   }
 
   /**
@@ -24,7 +25,7 @@ export class PouchTransport {
    */
   async createEdv({config} = {}) {
     try {
-      const record = await edvs.insert({config});
+      const record = await this.store.edvs.insert({config});
       return record.config;
     } catch(e) {
       if(e.name === 'ConstraintError') {
@@ -41,7 +42,7 @@ export class PouchTransport {
    * @inheritdoc
    */
   async getConfig({id = this.edvId} = {}) {
-    const record = await edvs.get({id});
+    const record = await this.store.edvs.get({id});
     return record.config;
   }
 
@@ -49,7 +50,7 @@ export class PouchTransport {
    * @inheritdoc
    */
   async updateConfig({config} = {}) {
-    const record = await edvs.update({config});
+    const record = await this.store.edvs.update({config});
     return record.config;
   }
 
@@ -58,7 +59,7 @@ export class PouchTransport {
    */
   async insert({encrypted} = {}) {
     try {
-      await docs.insert({edvId: this.edvId, doc: encrypted});
+      await this.store.docs.insert({edvId: this.edvId, doc: encrypted});
     } catch(e) {
       if(e.name === 'ConstraintError') {
         const err = new Error('Duplicate error.');
@@ -75,7 +76,8 @@ export class PouchTransport {
    */
   async update({encrypted, deleted = false} = {}) {
     try {
-      await docs.upsert({edvId: this.edvId, doc: encrypted, deleted});
+      await this.store.docs.upsert(
+        {edvId: this.edvId, doc: encrypted, deleted});
     } catch(e) {
       if(e.name === 'ConstraintError') {
         const err = new Error('Duplicate error.');
@@ -87,54 +89,323 @@ export class PouchTransport {
     }
   }
 
+  /**
+   * Inserts many encrypted documents into the EDV in a single batch.
+   *
+   * @param {object} options - The options to use.
+   * @param {Array} options.encrypted - The encrypted documents to insert.
+   *
+   * @returns {Promise<object>} Resolves to `{results}` with a result for each
+   *   document, in order: `{}` if it was inserted, otherwise `{error}`.
+   */
+  async insertMany({encrypted} = {}) {
+    const {results} = await this.store.docs.bulkInsert(
+      {edvId: this.edvId, docs: encrypted});
+    return {results: results.map(_toWriteResult)};
+  }
+
+  /**
+   * Updates many encrypted documents in the EDV in a single batch; any
+   * document that does not exist will be inserted.
+   *
+   * @param {object} options - The options to use.
+   * @param {Array} options.encrypted - The encrypted documents to store.
+   *
+   * @returns {Promise<object>} Resolves to `{results}` with a result for each
+   *   document, in order: `{}` if it was written, otherwise `{error}`.
+   */
+  async updateMany({encrypted} = {}) {
+    const {results} = await this.store.docs.bulkUpsert(
+      {edvId: this.edvId, docs: encrypted});
+    return {results: results.map(_toWriteResult)};
+  }
+
   /**
    * @inheritdoc
    */
   async get({id} = {}) {
-    const record = await docs.get({edvId: this.edvId, id});
+    const record = await this.store.docs.get({edvId: this.edvId, id});
     return record.doc;
   }
 
+  /**
+   * Gets many encrypted documents from the EDV in a single batch.
+   *
+   * @param {object} options - The options to use.
+   * @param {Array} options.ids - The IDs of the documents.
+   *
+   * @returns {Promise<object>} Resolves to `{results}` with a result for each
+   *   ID, in order: `{document}` with the encrypted document if it was found,
+   *   otherwise `{error}` with a `NotFoundError`.
+   */
+  async getMany({ids} = {}) {
+    const {results} = await this.store.docs.getMany({edvId: this.edvId, ids});
+    return {
+      results: results.map(({record, error}) => record ?
+        {document: record.doc} : {error})
+    };
+  }
+
   /**
    * @inheritdoc
    */
   async find({query} = {}) {
-    const {edvId} = this;
-    const findQuery = docs.createQuery({edvId, edvQuery: query});
+    const {edvId, store} = this;
+    const findQuery = store.docs.createQuery({edvId, edvQuery: query});
+    if(query.count === true) {
+      // count without reading the matching documents
+      return store.docs.count({edvId, query: findQuery});
+    }
     const {limit} = query;
     if(limit) {
       // add `1` to limit to detect if more results were possible
       findQuery.options.limit = limit + 1;
     }
-    const {records} = await docs.find({edvId, query: findQuery});
-    if(query.count === true) {
-      return {count: records.length};
-    }
+    const {records} = await store.docs.find({edvId, query: findQuery});
     const result = {documents: records};
     if(limit) {
       result.hasMore = result.documents.length > limit;
       if(result.hasMore) {
         result.documents.length = limit;
+        // documents are in order of ID, so the last one marks the next page
+        result.cursor = result.documents.at(-1).doc.id;
       }
     }
     result.documents = result.documents.map(({doc}) => doc);
     return result;
   }
 
+  /**
+   * Lists the documents in the EDV in order of document ID.
+   *
+   * @param {object} options - The options to use.
+   * @param {number} [options.limit] - The maximum number of documents to
+   *   list.
+   * @param {string} [options.cursor] - The `cursor` from a previous result to
+   *   list the next page of documents.
+   * @param {boolean} [options.includeDeleted=false] - Set to `true` to also
+   *   list deleted documents.
+   *
+   * @returns {Promise<object>} Resolves to `{entries}` with an entry
+   *   `{id, sequence, deleted}` for each document; if `limit` is given,
+   *   `hasMore` is also set and, if `hasMore` is `true`, so is the `cursor`
+   *   for the next page.
+   */
+  async listDocuments({limit, cursor, includeDeleted} = {}) {
+    const {edvId, store} = this;
+    // add `1` to limit to detect if more results were possible
+    const {records} = await store.docs.list({
+      edvId, limit: limit && limit + 1, cursor, includeDeleted
+    });
+    const result = {
+      entries: records.map(record => ({
+        id: record.doc.id,
+        sequence: record.doc.sequence,
+        deleted: record._deleted === true
+      }))
+    };
+    if(limit) {
+      result.hasMore = result.entries.length > limit;
+      if(result.hasMore) {
+        result.entries.length = limit;
+        result.cursor = result.entries.at(-1).id;
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Watches for changes to the documents in the EDV. Each change is yielded
+   * as an event `{type, seq, document}`, where `type` is one of `insert`,
+   * `update`, or `delete` and `document` is the encrypted document.
+   *
+   * @param {object} options - The options to use.
+   * @param {object} [options.query] - An EDV query with blinded attributes
+   *   to only watch the documents that match it.
+   * @param {number|string} [options.since='now'] - The sequence to start
+   *   watching after.
+   * @param {AbortSignal} [options.signal] - A signal to stop watching.
+   *
+   * @returns {object} An async iterator that yields change events.
+   */
+  async* watch({query, since, signal} = {}) {
+    const {edvId, store} = this;
+    const watchQuery = query ?
+      store.docs.createQuery({edvId, edvQuery: query}) : undefined;
+    const changes = store.docs.watch(
+      {edvId, query: watchQuery, since, signal});
+    for await (const {type, seq, record} of changes) {
+      yield {type, seq, document: record.doc};
+    }
+  }
+
+  /**
+   * Enables history for the EDV: the versions of its documents that are
+   * replaced will be kept, up to `maxVersions` per document.
+   *
+   * @param {object} options - The options to use.
+   * @param {number} [options.maxVersions=10] - The maximum number of versions
+   *   to keep of each document.
+   *
+   * @returns {Promise<object>} Resolves to the history settings:
+   *   `{maxVersions}`.
+   */
+  async enableHistory({maxVersions} = {}) {
+    const record = await this.store.history.enable(
+      {edvId: this.edvId, maxVersions});
+    return {maxVersions: record.maxVersions};
+  }
+
+  /**
+   * Disables history for the EDV and removes every version that was kept.
+   *
+   * @returns {Promise<object>} Resolves to `{removed}` with the number of
+   *   versions that were removed.
+   */
+  async disableHistory() {
+    return this.store.history.disable({edvId: this.edvId});
+  }
+
+  /**
+   * Gets the versions that are kept of an encrypted document, newest first.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the document.
+   *
+   * @returns {Promise<object>} Resolves to `{documents}` with the encrypted
+   *   versions of the document.
+   */
+  async getHistory({id} = {}) {
+    const {records} = await this.store.history.list(
+      {edvId: this.edvId, docId: id});
+    return {documents: records.map(({doc}) => doc)};
+  }
+
+  /**
+   * Enables the trash for the EDV: when one of its documents is deleted, the
+   * version that was deleted is moved to the trash for `retention`
+   * milliseconds.
+   *
+   * @param {object} options - The options to use.
+   * @param {number} [options.retention] - The number of milliseconds to keep
+   *   deleted documents for.
+   *
+   * @returns {Promise<object>} Resolves to the trash settings:
+   *   `{retention}`.
+   */
+  async enableTrash({retention} = {}) {
+    const record = await this.store.trash.enable(
+      {edvId: this.edvId, retention});
+    return {retention: record.retention};
+  }
+
+  /**
+   * Disables the trash for the EDV and empties it.
+   *
+   * @returns {Promise<object>} Resolves to `{removed}` with the number of
+   *   documents that were removed from the trash.
+   */
+  async disableTrash() {
+    return this.store.trash.disable({edvId: this.edvId});
+  }
+
+  /**
+   * Lists the encrypted documents in the trash of the EDV.
+   *
+   * @returns {Promise<object>} Resolves to `{entries}` with an entry
+   *   `{document, deletedAt, expires}` for each encrypted document.
+   */
+  async listTrash() {
+    const {records} = await this.store.trash.list({edvId: this.edvId});
+    return {
+      entries: records.map(({doc, deletedAt, expires}) =>
+        ({document: doc, deletedAt, expires}))
+    };
+  }
+
+  /**
+   * Gets an encrypted document from the trash of the EDV.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the document.
+   *
+   * @returns {Promise<object>} Resolves to the encrypted document.
+   */
+  async getTrashed({id} = {}) {
+    const record = await this.store.trash.get({edvId: this.edvId, docId: id});
+    return record.doc;
+  }
+
+  /**
+   * Removes a document from the trash of the EDV.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.id - The ID of the document.
+   *
+   * @returns {Promise<boolean>} Resolves to `true` if the document was
+   *   removed, `false` if it was not found.
+   */
+  async removeTrashed({id} = {}) {
+    return this.store.trash.remove({edvId: this.edvId, docId: id});
+  }
+
+  /**
+   * Gets the indexes of the chunks of a document that are stored with the
+   * current sequence of the document.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.docId - The ID of the document.
+   *
+   * @returns {Promise<object>} Resolves to `{sequence, indexes}` with the
+   *   current sequence of the document and the indexes of its chunks with
+   *   that sequence, in ascending order.
+   */
+  async getChunkIndexes({docId} = {}) {
+    return this.store.chunks.getIndexes({edvId: this.edvId, docId});
+  }
+
+  /**
+   * Gets the offsets of the chunks of a document that are stored with the
+   * given sequence.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.docId - The ID of the document.
+   * @param {number} options.sequence - The sequence of the chunks.
+   *
+   * @returns {Promise<object>} Resolves to `{offsets}` with the offset of
+   *   the end of each chunk's data at its index.
+   */
+  async getChunkOffsets({docId, sequence} = {}) {
+    return this.store.chunks.getOffsets({edvId: this.edvId, docId, sequence});
+  }
+
   /**
    * @inheritdoc
    */
   async storeChunk({docId, chunk}) {
-    return chunks.upsert({edvId: this.edvId, docId, chunk});
+    return this.store.chunks.upsert({edvId: this.edvId, docId, chunk});
   }
 
   /**
    * @inheritdoc
    */
   async getChunk({docId, chunkIndex} = {}) {
-    const record = await chunks.get({
+    const record = await this.store.chunks.get({
       edvId: this.edvId, docId, index: chunkIndex
     });
-    return record.doc;
+    return record.chunk;
+  }
+}
+
+function _toWriteResult({error}) {
+  if(!error) {
+    return {};
+  }
+  if(error.name === 'ConstraintError') {
+    const err = new Error('Duplicate error.');
+    err.name = 'DuplicateError';
+    err.cause = error;
+    return {error: err};
   }
+  return {error};
 }
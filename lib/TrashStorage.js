@@ -0,0 +1,462 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {createDatabase, purge, removeByPrefix} from './pouchdb.js';
+import {assert} from './assert.js';
+import {parseLocalId} from './helpers.js';
+import {runMigrations} from './migrations.js';
+
+const COLLECTION_NAME = 'edv-storage-trash';
+
+// the number of expired documents to remove at a time
+const SWEEP_BATCH_SIZE = 100;
+
+// the maximum delay, in milliseconds, supported by `setTimeout`
+const MAX_SWEEP_DELAY = 2 ** 31 - 1;
+
+export class TrashStorage {
+  constructor({prefix} = {}) {
+    this.prefix = prefix;
+    this.client = null;
+    this._purgeOp = null;
+    this._sweepOp = null;
+    this._sweepPending = false;
+    this._sweepTimer = null;
+  }
+
+  /**
+   * Initializes the trash database if it has not already been initialized.
+   * Once initialized, documents are swept from the trash in the background
+   * when their retention period passes.
+   *
+   * @param {object} [options] - The options to use.
+   * @param {string} [options.adapter='indexeddb'] - The PouchDB adapter to
+   *   use.
+   * @param {object} [options.retry] - The settings for retrying writes that
+   *   conflict: `{maxRetries, minDelay, maxDelay}`, with delays in
+   *   milliseconds.
+   * @param {Function} [options.onProgress] - A function that is called with
+   *   `{collection, migration, completed, total}` to report the progress of
+   *   any schema migrations.
+   *
+   * @returns {Promise} Settles once the operation completes.
+   */
+  async initialize({adapter, retry, onProgress} = {}) {
+    if(this.client) {
+      // already initialized
+      return;
+    }
+
+    this.client = await createDatabase({
+      name: COLLECTION_NAME, prefix: this.prefix, adapter, retry
+    });
+
+    /* Note: Two kinds of records are stored in this collection:
+
+    The trash settings of an EDV, where `_id` is populated using
+    `localEdvId`.
+
+    The deleted documents in the trash, where `_id` is populated using the
+    combination of `localEdvId` and `docId`. */
+
+    // expired document queries
+    await this.client.createIndex({
+      index: {
+        ddoc: 'edv-trash',
+        name: 'expires',
+        fields: ['expires'],
+        partial_filter_selector: {
+          expires: {$exists: true}
+        }
+      }
+    });
+
+    // migrate to the latest schema; close on failure so that
+    // initialization is retried on the next call
+    try {
+      await runMigrations({
+        client: this.client,
+        collection: COLLECTION_NAME,
+        migrations: [],
+        onProgress
+      });
+    } catch(e) {
+      await this.close();
+      throw e;
+    }
+
+    // schedule sweep op to remove any expired documents
+    this._scheduleSweep();
+  }
+
+  /**
+   * Enables the trash for an EDV: when one of its documents is deleted, the
+   * version of the document that was deleted is moved to the trash, where it
+   * is kept for `retention` milliseconds.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV.
+   * @param {number} [options.retention=2592000000] - The number of
+   *   milliseconds to keep deleted documents for (defaults to 30 days).
+   *
+   * @returns {Promise<object>} Resolves to the database record with the trash
+   *   settings.
+   */
+  async enable({edvId, retention = 30 * 24 * 60 * 60 * 1000} = {}) {
+    assert.string(edvId, 'edvId');
+    assert.nonNegativeSafeInteger(retention, 'retention');
+    if(retention === 0) {
+      throw new RangeError('"retention" must be greater than 0.');
+    }
+
+    const {localId: localEdvId} = parseLocalId({id: edvId});
+    const settings = {_id: localEdvId, localEdvId, retention};
+    const {record} = await this.client.updateOne({
+      doc: settings,
+      query: {selector: {_id: localEdvId}},
+      upsert: true
+    });
+    return record;
+  }
+
+  /**
+   * Disables the trash for an EDV and empties it.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV.
+   *
+   * @returns {Promise<object>} Resolves to `{removed}` with the number of
+   *   documents that were removed from the trash.
+   */
+  async disable({edvId} = {}) {
+    return this.removeAll({edvId});
+  }
+
+  /**
+   * Gets the trash settings of an EDV.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV.
+   *
+   * @returns {Promise<object|null>} Resolves to the database record with the
+   *   trash settings, `{retention}`, or `null` if the trash is not enabled
+   *   for the EDV.
+   */
+  async getSettings({edvId} = {}) {
+    assert.string(edvId, 'edvId');
+
+    const {localId: localEdvId} = parseLocalId({id: edvId});
+    try {
+      return await this.client.get(localEdvId);
+    } catch(e) {
+      if(e.status === 404) {
+        return null;
+      }
+      throw e;
+    }
+  }
+
+  /**
+   * Moves deleted EDV documents to the trash, replacing any previously
+   * deleted version of the same documents.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV.
+   * @param {Array} options.docs - The versions of the documents that were
+   *   deleted.
+   * @param {number} options.retention - The number of milliseconds to keep
+   *   the documents for.
+   *
+   * @returns {Promise} Settles once the operation completes.
+   */
+  async add({edvId, docs, retention} = {}) {
+    assert.string(edvId, 'edvId');
+    assert.array(docs, 'docs');
+    assert.nonNegativeSafeInteger(retention, 'retention');
+    if(docs.length === 0) {
+      return;
+    }
+
+    const {localId: localEdvId} = parseLocalId({id: edvId});
+    const deletedAt = Date.now();
+    const records = docs.map(doc => ({
+      _id: _createId({localEdvId, docId: doc.id}),
+      localEdvId,
+      docId: doc.id,
+      doc,
+      deletedAt,
+      expires: deletedAt + retention
+    }));
+    // replace any previously deleted versions
+    const {rows} = await this.client.allDocs(
+      {keys: records.map(({_id}) => _id)});
+    for(const [i, {value}] of rows.entries()) {
+      if(value && !value.deleted) {
+        records[i]._rev = value.rev;
+      }
+    }
+    const results = await this.client.bulkDocs(records);
+    // conflicts mean a document was trashed concurrently
+    const error = results.find(({error, status}) => error && status !== 409);
+    if(error) {
+      throw error;
+    }
+
+    // schedule sweep op to account for the new expiry times
+    this._scheduleSweep();
+  }
+
+  /**
+   * Lists the documents in the trash of an EDV.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV.
+   *
+   * @returns {Promise<object>} Resolves to `{records}` with the database
+   *   records of the documents in the trash, each with the deleted `doc`,
+   *   and the `deletedAt` and `expires` times in milliseconds since the
+   *   epoch.
+   */
+  async list({edvId} = {}) {
+    assert.string(edvId, 'edvId');
+
+    const {localId: localEdvId} = parseLocalId({id: edvId});
+    const prefix = `${localEdvId}:`;
+    const {rows} = await this.client.allDocs({
+      startkey: prefix, endkey: `${prefix}\ufff0`, include_docs: true
+    });
+    // expired documents that have not been swept yet are not listed
+    const now = Date.now();
+    return {
+      records: rows.map(({doc}) => doc).filter(({expires}) => expires > now)
+    };
+  }
+
+  /**
+   * Gets a document from the trash of an EDV.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV.
+   * @param {string} options.docId - The ID of the document.
+   *
+   * @returns {Promise<object>} Resolves to the database record.
+   */
+  async get({edvId, docId} = {}) {
+    assert.string(edvId, 'edvId');
+    assert.localId(docId, 'docId');
+
+    const {localId: localEdvId} = parseLocalId({id: edvId});
+    let record;
+    try {
+      record = await this.client.get(_createId({localEdvId, docId}));
+    } catch(e) {
+      if(e.status !== 404) {
+        throw e;
+      }
+    }
+    if(!record || record.expires <= Date.now()) {
+      const error = new Error('Document not found in trash.');
+      error.name = 'NotFoundError';
+      throw error;
+    }
+    return record;
+  }
+
+  /**
+   * Removes a document from the trash of an EDV.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV.
+   * @param {string} options.docId - The ID of the document.
+   *
+   * @returns {Promise<boolean>} `true` if the document was removed, `false`
+   *   if it was not found.
+   */
+  async remove({edvId, docId} = {}) {
+    let record;
+    try {
+      record = await this.get({edvId, docId});
+    } catch(e) {
+      if(e.name === 'NotFoundError') {
+        return false;
+      }
+      throw e;
+    }
+
+    record._deleted = true;
+    await this.client.put(record);
+
+    // schedule purge operation to clean up deleted docs
+    this._schedulePurge();
+
+    return true;
+  }
+
+  /**
+   * Removes the trash settings of an EDV and every document in its trash.
+   *
+   * @param {object} options - The options to use.
+   * @param {string} options.edvId - The ID of the EDV.
+   *
+   * @returns {Promise<object>} Resolves to `{removed}` with the number of
+   *   documents that were removed from the trash.
+   */
+  async removeAll({edvId} = {}) {
+    assert.string(edvId, 'edvId');
+
+    // remove the settings first to stop moving documents to the trash
+    const {localId: localEdvId} = parseLocalId({id: edvId});
+    const settings = await this.getSettings({edvId});
+    if(settings) {
+      await this.client.remove(settings).catch(e => {
+        // a conflict means the settings were removed concurrently
+        if(e.status !== 409) {
+          throw e;
+        }
+      });
+    }
+    const result = await removeByPrefix(
+      {client: this.client, prefix: `${localEdvId}:`});
+
+    // schedule purge operation to clean up deleted docs
+    this._schedulePurge();
+
+    return result;
+  }
+
+  /**
+   * Removes every document whose retention period has passed from the trash
+   * of every EDV. This is done automatically in the background once the
+   * database has been initialized.
+   *
+   * @returns {Promise<object>} Resolves to `{removed, next}` with the number
+   *   of documents that were removed and the time, in milliseconds since the
+   *   epoch, at which the next document expires, if any.
+   */
+  async sweep() {
+    // use the same database throughout, even if closed concurrently
+    const {client} = this;
+    const now = Date.now();
+    let removed = 0;
+    while(true) {
+      const {docs} = await client.find({
+        selector: {expires: {$lte: now}},
+        fields: ['_id', '_rev'],
+        use_index: ['edv-trash', 'expires'],
+        limit: SWEEP_BATCH_SIZE
+      });
+      if(docs.length === 0) {
+        break;
+      }
+      // conflicts mean a document was restored or removed concurrently
+      const results = await client.bulkDocs(
+        docs.map(({_id, _rev}) => ({_id, _rev, _deleted: true})));
+      removed += results.filter(({ok}) => ok).length;
+      if(docs.length < SWEEP_BATCH_SIZE) {
+        break;
+      }
+    }
+    if(removed > 0) {
+      // schedule purge operation to clean up deleted docs
+      this._schedulePurge();
+    }
+
+    const {docs: [nextRecord]} = await client.find({
+      selector: {expires: {$gt: now}},
+      fields: ['expires'],
+      sort: [{expires: 'asc'}],
+      use_index: ['edv-trash', 'expires'],
+      limit: 1
+    });
+    return {removed, next: nextRecord?.expires};
+  }
+
+  /**
+   * Closes the trash database and stops sweeping it; it may be initialized
+   * again later.
+   *
+   * @returns {Promise} Settles once the operation completes.
+   */
+  async close() {
+    if(!this.client) {
+      return;
+    }
+    const {client} = this;
+    this.client = null;
+    clearTimeout(this._sweepTimer);
+    // wait for any sweep or purge in progress as it may be using the database
+    await this._sweepOp;
+    await this._purgeOp;
+    await client.close();
+  }
+
+  /**
+   * Destroys the trash database, removing all of its data; it will be empty
+   * if initialized again later.
+   *
+   * @param {object} [options] - The options to use.
+   * @param {string} [options.adapter='indexeddb'] - The PouchDB adapter to
+   *   use if the database has not been initialized.
+   *
+   * @returns {Promise} Settles once the operation completes.
+   */
+  async destroy({adapter} = {}) {
+    let {client} = this;
+    this.client = null;
+    if(client) {
+      clearTimeout(this._sweepTimer);
+      await this._sweepOp;
+      await this._purgeOp;
+    } else {
+      client = await createDatabase(
+        {name: COLLECTION_NAME, prefix: this.prefix, adapter});
+    }
+    await client.destroy();
+  }
+
+  _schedulePurge() {
+    if(this._purgeOp) {
+      return;
+    }
+    this._purgeOp = purge({client: this.client})
+      .catch(e => console.error(e))
+      .finally(() => this._purgeOp = null);
+  }
+
+  _scheduleSweep() {
+    if(!this.client) {
+      // closed
+      return;
+    }
+    if(this._sweepOp) {
+      // sweep again once the current sweep completes as it may have missed
+      // documents that were just added
+      this._sweepPending = true;
+      return;
+    }
+    clearTimeout(this._sweepTimer);
+    this._sweepOp = this.sweep()
+      .then(({next}) => {
+        // sweep again once the next document expires
+        if(next !== undefined && this.client) {
+          const delay = Math.min(next - Date.now(), MAX_SWEEP_DELAY);
+          this._sweepTimer = setTimeout(
+            () => this._scheduleSweep(), Math.max(delay, 0));
+          // do not keep a Node.js process alive only to sweep
+          this._sweepTimer.unref?.();
+        }
+      })
+      .catch(e => console.error(e))
+      .finally(() => {
+        this._sweepOp = null;
+        if(this._sweepPending) {
+          this._sweepPending = false;
+          this._scheduleSweep();
+        }
+      });
+  }
+}
+
+function _createId({localEdvId, docId}) {
+  return `${localEdvId}:${docId}`;
+}
@@ -0,0 +1,54 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {argon2idAsync} from '@noble/hashes/argon2';
+import {assert} from './assert.js';
+import {getRandomBytes} from './helpers.js';
+
+const ALGORITHM = {name: 'Argon2id'};
+
+/**
+ * Derive key bits from a password using Argon2id.
+ *
+ * @param {object} options - The options to use.
+ * @param {number} options.bitLength - The number of bits to derive.
+ * @param {number} options.memory - The memory cost, in KiB.
+ * @param {number} options.iterations - The number of iterations (time cost).
+ * @param {number} options.parallelism - The degree of parallelism.
+ * @param {string} options.password - The password to use.
+ * @param {Uint8Array} [options.salt] - The salt to use; one will be
+ *   generated if not provided.
+ * @param {number} [options.saltSize] - The salt size, in bytes, to generate,
+ *   if `salt` was not provided.
+ *
+ * @returns {Promise<object>} Resolves to `{algorithm, derivedBits}`.
+ */
+export async function deriveBits({
+  bitLength, memory, iterations, parallelism, password, salt, saltSize
+} = {}) {
+  assert.nonNegativeSafeInteger(bitLength, 'bitLength');
+  assert.nonNegativeSafeInteger(memory, 'memory');
+  assert.nonNegativeSafeInteger(iterations, 'iterations');
+  assert.nonNegativeSafeInteger(parallelism, 'parallelism');
+  assert.string(password, 'password');
+  if(salt !== undefined) {
+    assert.uint8Array(salt, 'salt');
+  } else {
+    assert.nonNegativeSafeInteger(saltSize, 'saltSize');
+    salt = await getRandomBytes(saltSize);
+  }
+
+  const algorithm = {
+    ...ALGORITHM,
+    salt,
+    memory,
+    iterations,
+    parallelism
+  };
+  // the async variant periodically yields to avoid blocking the UI thread
+  const derivedBits = await argon2idAsync(
+    new TextEncoder().encode(password), salt, {
+      m: memory, t: iterations, p: parallelism, dkLen: bitLength / 8
+    });
+  return {algorithm, derivedBits};
+}
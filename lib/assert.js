@@ -20,6 +20,7 @@ function chunk(x) {
   assert.nonNegativeSafeInteger(x.offset, 'chunk.offset');
   assert.sequence(x.sequence, 'chunk.sequence');
   assert.object(x.jwe, 'chunk.jwe');
+  assert.string(x.jwe.ciphertext, 'chunk.jwe.ciphertext');
 }
 
 function doc(x) {
@@ -52,36 +53,9 @@ function edvConfig(x) {
 
 function edvQuery(x, name) {
   assert.object(x, name);
-  const {index, equals, has, count, limit} = x;
+  const {index, count, limit, cursor} = x;
   assert.string(index, `${name}.index`);
-  if(!!equals === !!has) {
-    throw new TypeError(
-      `"${name}" must contain exactly one of "equals" or "has".`);
-  }
-  if(equals !== undefined) {
-    assert.array(equals, `${name}.equals`);
-    if(equals.length === 0) {
-      throw new Error(`"${name}.equals" must have of a length > 0.`);
-    }
-    // every `equals` entry must be an object w/key+value strings
-    for(const [i, e] of equals.entries()) {
-      const subName = `${name}.equals[${i}]`;
-      assert.object(e, subName);
-      for(const key in e) {
-        assert.string(e[key], `${subName}.${key}`);
-      }
-    }
-  }
-  if(has !== undefined) {
-    assert.array(has, `${name}.has`);
-    if(has.length === 0) {
-      throw new Error(`"${name}.equals" must have of a length > 0.`);
-    }
-    // every `has` entry must be a string
-    for(const [i, e] of has.entries()) {
-      assert.string(e, `${name}.equals[${i}]`);
-    }
-  }
+  _assertEdvQueryClauses(x, name);
   if(count !== undefined && typeof count !== 'boolean') {
     throw new TypeError(`"${name}.count" must be a boolean.`);
   }
@@ -91,6 +65,9 @@ function edvQuery(x, name) {
       throw new Error(`"${name}.limit" must be an integer >= 1 and <= 1000.`);
     }
   }
+  if(cursor !== undefined) {
+    assert.localId(cursor, `${name}.cursor`);
+  }
 }
 
 function localId(x, name) {
@@ -136,11 +113,28 @@ function secretConfig(x) {
   assert.string(x.keyAgreementKeyId, 'config.keyAgreementKeyId');
   assert.object(x.secret, 'config.secret');
   assert.string(x.secret.version, 'config.secret.version');
-  if(x.secret.version !== '1') {
-    throw new Error('"config.secret.version" must be "1".');
+  if(!['1', '2', '3'].includes(x.secret.version)) {
+    throw new Error('"config.secret.version" must be "1", "2", or "3".');
+  }
+  if(x.secret.version === '1') {
+    assert.string(x.secret.salt, 'config.secret.salt');
+    assert.string(x.secret.wrappedKey, 'config.secret.wrappedKey');
+  } else {
+    const {slots} = x.secret;
+    assert.array(slots, 'config.secret.slots');
+    if(slots.length === 0) {
+      throw new TypeError('"config.secret.slots" must not be empty.');
+    }
+    slots.forEach((slot, i) => _secretSlot(slot, `config.secret.slots[${i}]`));
+    // the "fips" cipher version wraps a key agreement key in every slot
+    const fips = slots[0].wrappedKeyAgreementKey !== undefined;
+    if(slots.some(slot => (slot.wrappedKeyAgreementKey !== undefined) !==
+      fips)) {
+      throw new TypeError(
+        'Either every or no slot in "config.secret.slots" must have ' +
+        'a "wrappedKeyAgreementKey".');
+    }
   }
-  assert.string(x.secret.salt, 'config.secret.salt');
-  assert.string(x.secret.wrappedKey, 'config.secret.wrappedKey');
   assert.sequence(x.sequence, 'config.sequence');
 }
 
@@ -163,6 +157,84 @@ function uint8Array(x, name) {
   }
 }
 
+// asserts the `equals`, `has`, `not`, and `or` clauses of an EDV query,
+// where `not` is a nested query and `or` an array of nested queries
+function _assertEdvQueryClauses(x, name) {
+  const {equals, has, not, or} = x;
+  if(equals === undefined && has === undefined &&
+    not === undefined && or === undefined) {
+    throw new TypeError(
+      `"${name}" must contain at least one of "equals", "has", "not", or ` +
+      '"or".');
+  }
+  if(equals !== undefined) {
+    assert.array(equals, `${name}.equals`);
+    if(equals.length === 0) {
+      throw new Error(`"${name}.equals" must have of a length > 0.`);
+    }
+    // every `equals` entry must be an object w/key+value strings
+    for(const [i, e] of equals.entries()) {
+      const subName = `${name}.equals[${i}]`;
+      assert.object(e, subName);
+      for(const key in e) {
+        assert.string(e[key], `${subName}.${key}`);
+      }
+    }
+  }
+  if(has !== undefined) {
+    assert.array(has, `${name}.has`);
+    if(has.length === 0) {
+      throw new Error(`"${name}.has" must have of a length > 0.`);
+    }
+    // every `has` entry must be a string
+    for(const [i, e] of has.entries()) {
+      assert.string(e, `${name}.has[${i}]`);
+    }
+  }
+  if(not !== undefined) {
+    assert.object(not, `${name}.not`);
+    _assertEdvQueryClauses(not, `${name}.not`);
+  }
+  if(or !== undefined) {
+    assert.array(or, `${name}.or`);
+    if(or.length === 0) {
+      throw new Error(`"${name}.or" must have of a length > 0.`);
+    }
+    for(const [i, e] of or.entries()) {
+      assert.object(e, `${name}.or[${i}]`);
+      _assertEdvQueryClauses(e, `${name}.or[${i}]`);
+    }
+  }
+}
+
+function _secretSlot(x, name) {
+  assert.object(x, name);
+  assert.string(x.label, `${name}.label`);
+  if(!['password', 'recoveryCode', 'deviceKey'].includes(x.type)) {
+    throw new TypeError(
+      `"${name}.type" must be "password", "recoveryCode", or "deviceKey".`);
+  }
+  if(x.type === 'deviceKey') {
+    // wrapped w/a device key instead of a key derived from a passphrase
+    assert.string(x.keyId, `${name}.keyId`);
+  } else {
+    assert.object(x.kdf, `${name}.kdf`);
+    if(x.kdf.name !== 'Argon2id') {
+      throw new TypeError(`"${name}.kdf.name" must be "Argon2id".`);
+    }
+    assert.nonNegativeSafeInteger(x.kdf.memory, `${name}.kdf.memory`);
+    assert.nonNegativeSafeInteger(
+      x.kdf.iterations, `${name}.kdf.iterations`);
+    assert.nonNegativeSafeInteger(
+      x.kdf.parallelism, `${name}.kdf.parallelism`);
+    assert.string(x.salt, `${name}.salt`);
+  }
+  assert.string(x.wrappedKey, `${name}.wrappedKey`);
+  if(x.wrappedKeyAgreementKey !== undefined) {
+    assert.string(x.wrappedKeyAgreementKey, `${name}.wrappedKeyAgreementKey`);
+  }
+}
+
 function _assertType({x, name, type, article, truthy}) {
   if(!(typeof x === type && (x || !truthy))) {
     throw new TypeError(`"${name}" must be ${article} ${type}.`);
@@ -1,42 +1,24 @@
 /*!
- * Copyright (c) 2021-2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2021-2026 Digital Bazaar, Inc. All rights reserved.
  */
-import {createDatabase, purge} from './pouchdb.js';
-import {assert} from './assert.js';
-import {get as getDoc} from './docs.js';
-import {parseLocalId} from './helpers.js';
-
-const COLLECTION_NAME = 'edv-storage-chunk';
-
-let _client;
-let _purgeOp;
+import {getDefaultStore} from './EdvStore.js';
 
 /**
  * Initializes the encrypted document chunks database if it has not already
  * been initialized.
  *
+ * @param {object} [options] - The options to use.
+ * @param {string} [options.adapter='indexeddb'] - The PouchDB adapter to use.
+ * @param {object} [options.retry] - The settings for retrying writes that
+ *   conflict: `{maxRetries, minDelay, maxDelay}`, with delays in milliseconds.
+ * @param {Function} [options.onProgress] - A function that is called with
+ *   `{collection, migration, completed, total}` to report the progress of
+ *   any schema migrations.
+ *
  * @returns {Promise} Settles once the operation completes.
  */
-export async function initialize() {
-  if(_client) {
-    // already initialized
-    return;
-  }
-
-  _client = await createDatabase({name: COLLECTION_NAME});
-
-  // Note: `_id` is populated using the combination of `localEdvId`,
-  // `docId` and `chunk.index` and serves as the primary unique index for
-  // this collection
-
-  // since no indexes are created, get database info to ensure database upgrade
-  // events fire and object stores are created, etc. prior to scheduling a
-  // purge -- otherwise database upgrades could be blocked and the database
-  // will fail to load / be created properly
-  await _client.info();
-
-  // schedule purge op to clean up any deleted docs
-  _schedulePurge();
+export async function initialize({adapter, retry, onProgress} = {}) {
+  return getDefaultStore().chunks.initialize({adapter, retry, onProgress});
 }
 
 /**
@@ -48,57 +30,13 @@ export async function initialize() {
  * @param {string} options.docId - The ID of the document the chunk is
  *   associated with.
  * @param {object} options.chunk - The chunk to store.
+ * @param {AbortSignal} [options.signal] - A signal to abort retrying the
+ *   write when conflicts arise.
  *
  * @returns {Promise<object>} Resolves to the database record.
  */
-export async function upsert({edvId, docId, chunk} = {}) {
-  assert.string(edvId, 'edvId');
-  assert.localId(docId, 'docId');
-  assert.chunk(chunk);
-
-  // TODO: implement garbage collector worker that removes chunks with stale
-  // sequences (e.g., can happen because uploads failed or because associated
-  // data shrunk in size, i.e., fewer chunks)
-
-  // ensure `chunk.sequence` is proper (on par with associated doc)
-  // TODO: optimize retrieval of only sequence number
-  const {doc} = await getDoc({edvId, id: docId});
-  if(chunk.sequence !== doc.sequence) {
-    const error = new Error(
-      'Could not update document chunk. Sequence does not match the ' +
-      'associated document.');
-    error.name = 'InvalidStateError';
-    error.expected = doc.sequence;
-    error.actual = chunk.sequence;
-    throw error;
-  }
-
-  // create record
-  const {localId: localEdvId} = parseLocalId({id: edvId});
-  const _id = _createId({localEdvId, docId, index: chunk.index});
-  const record = {_id, localEdvId, docId, chunk};
-
-  let result;
-  try {
-    result = await _client.updateOne({
-      doc: record,
-      query: {
-        selector: {_id}
-      },
-      upsert: true
-    });
-  } catch(e) {
-    if(e.name === 'ConstraintError') {
-      // if the error was with the same document, then the same chunk was
-      // upserted concurrently -- and we treat this one as if it succeeded
-      // but was overwritten by whatever is in the database now
-      if(e.existing._id === _id) {
-        return e.existing;
-      }
-    }
-    throw e;
-  }
-  return result.record;
+export async function upsert({edvId, docId, chunk, signal} = {}) {
+  return getDefaultStore().chunks.upsert({edvId, docId, chunk, signal});
 }
 
 /**
@@ -113,21 +51,44 @@ export async function upsert({edvId, docId, chunk} = {}) {
  * @returns {Promise<object>} Resolves to the database record.
  */
 export async function get({edvId, docId, index} = {}) {
-  assert.string(edvId, 'edvId');
-  assert.localId(docId, 'docId');
-  assert.nonNegativeSafeInteger(index, 'index');
+  return getDefaultStore().chunks.get({edvId, docId, index});
+}
 
-  const {localId: localEdvId} = parseLocalId({id: edvId});
-  const {docs: [record]} = await _client.find({
-    selector: {_id: _createId({localEdvId, docId, index})},
-    limit: 1
-  });
-  if(!record) {
-    const error = new Error('Document chunk not found.');
-    error.name = 'NotFoundError';
-    throw error;
-  }
-  return record;
+/**
+ * Gets the indexes of the chunks of an EDV document that are stored with the
+ * current sequence of the document, e.g., to resume an upload of the
+ * document's stream that was interrupted.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.edvId - The ID of the EDV.
+ * @param {string} options.docId - The ID of the document.
+ *
+ * @returns {Promise<object>} Resolves to `{sequence, indexes}` with the
+ *   current sequence of the document and the indexes of its chunks with that
+ *   sequence, in ascending order.
+ */
+export async function getIndexes({edvId, docId} = {}) {
+  return getDefaultStore().chunks.getIndexes({edvId, docId});
+}
+
+/**
+ * Gets the offsets of the chunks of an EDV document that are stored with the
+ * given sequence, e.g., to find the chunks that cover a byte range of the
+ * document's stream. The offset of a chunk is the offset, in bytes, of the
+ * end of its data in the stream.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.edvId - The ID of the EDV.
+ * @param {string} options.docId - The ID of the document.
+ * @param {number} options.sequence - The sequence of the chunks, i.e., the
+ *   sequence of the document's stream.
+ *
+ * @returns {Promise<object>} Resolves to `{offsets}` with the offset of each
+ *   chunk at its index; the offsets of chunks that are not stored are
+ *   `undefined`.
+ */
+export async function getOffsets({edvId, docId, sequence} = {}) {
+  return getDefaultStore().chunks.getOffsets({edvId, docId, sequence});
 }
 
 /**
@@ -143,36 +104,40 @@ export async function get({edvId, docId, index} = {}) {
  *   was not found.
  */
 export async function remove({edvId, docId, index} = {}) {
-  // sadly, this is non-atomic because PouchDB does not offer the necessary
-  // primitives
-  let record;
-  try {
-    record = await get({edvId, docId, index});
-  } catch(e) {
-    if(e.name === 'NotFoundError') {
-      return false;
-    }
-  }
-
-  // delete record
-  record._deleted = true;
-  await _client.put(record);
-
-  // schedule purge operation to clean up deleted docs
-  _schedulePurge();
-
-  return true;
+  return getDefaultStore().chunks.remove({edvId, docId, index});
 }
 
-function _createId({localEdvId, docId, index}) {
-  return `${localEdvId}:${docId}:${index}`;
+/**
+ * Removes every document chunk in an EDV or, if `docId` is given, every chunk
+ * of a document in an EDV.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.edvId - The ID of the EDV.
+ * @param {string} [options.docId] - The ID of the document.
+ *
+ * @returns {Promise<object>} Resolves to `{removed}` with the number of
+ *   chunks that were removed.
+ */
+export async function removeAll({edvId, docId} = {}) {
+  return getDefaultStore().chunks.removeAll({edvId, docId});
 }
 
-function _schedulePurge() {
-  if(_purgeOp) {
-    return;
-  }
-  _purgeOp = purge({name: COLLECTION_NAME})
-    .catch(e => console.error(e))
-    .finally(() => _purgeOp = null);
+/**
+ * Removes every document chunk that is no longer needed: chunks whose
+ * document no longer exists, chunks with stale sequences, and chunks past
+ * the length of their document's stream. This is also done automatically
+ * for every chunk when the chunks database is initialized and for the chunks
+ * of a document or EDV when its chunks are removed.
+ *
+ * @param {object} [options] - The options to use.
+ * @param {string} [options.edvId] - The ID of the EDV to check the chunks of.
+ * @param {string} [options.docId] - The ID of the document to check the
+ *   chunks of; requires `edvId`.
+ *
+ * @returns {Promise<object>} Resolves to `{removed, orphaned, stale,
+ *   truncated}` with the total number of chunks that were removed and the
+ *   number that were removed for each reason.
+ */
+export async function gc({edvId, docId} = {}) {
+  return getDefaultStore().chunks.gc({edvId, docId});
 }
@@ -0,0 +1,14 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {getDefaultStore} from './EdvStore.js';
+
+/**
+ * Closes all databases of the default store, e.g., when a user logs out.
+ * They may be initialized again later via `initialize()`.
+ *
+ * @returns {Promise} Settles once the operation completes.
+ */
+export async function close() {
+  return getDefaultStore().close();
+}
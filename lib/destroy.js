@@ -0,0 +1,19 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {getDefaultStore} from './EdvStore.js';
+
+/**
+ * Destroys all databases of the default store, removing every EDV and all
+ * locally stored secrets. The databases will be empty if initialized again
+ * later via `initialize()`.
+ *
+ * @param {object} [options] - The options to use.
+ * @param {string} [options.adapter='indexeddb'] - The PouchDB adapter to use
+ *   for any database that has not been initialized.
+ *
+ * @returns {Promise} Settles once the operation completes.
+ */
+export async function destroy({adapter} = {}) {
+  return getDefaultStore().destroy({adapter});
+}
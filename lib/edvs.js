@@ -1,36 +1,24 @@
 /*!
- * Copyright (c) 2021-2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2021-2026 Digital Bazaar, Inc. All rights reserved.
  */
-import {assert} from './assert.js';
-import {ConfigStorage} from './ConfigStorage.js';
-
-let _storage;
+import {getDefaultStore} from './EdvStore.js';
 
 /**
  * Initializes the encrypted data vault configurations database if it has not
  * already been initialized.
  *
+ * @param {object} [options] - The options to use.
+ * @param {string} [options.adapter='indexeddb'] - The PouchDB adapter to use.
+ * @param {object} [options.retry] - The settings for retrying writes that
+ *   conflict: `{maxRetries, minDelay, maxDelay}`, with delays in milliseconds.
+ * @param {Function} [options.onProgress] - A function that is called with
+ *   `{collection, migration, completed, total}` to report the progress of
+ *   any schema migrations.
+ *
  * @returns {Promise} Settles once the operation completes.
  */
-export async function initialize() {
-  if(_storage) {
-    // already initialized
-    return;
-  }
-
-  _storage = new ConfigStorage({
-    assertConfig: assert.edvConfig,
-    collectionName: 'edv-storage-config'
-  });
-
-  await _storage.initialize();
-
-  // queries by controller
-  await _storage.client.createIndex({
-    index: {
-      fields: ['config.controller']
-    }
-  });
+export async function initialize({adapter, retry, onProgress} = {}) {
+  return getDefaultStore().edvs.initialize({adapter, retry, onProgress});
 }
 
 /**
@@ -38,11 +26,13 @@ export async function initialize() {
  *
  * @param {object} options - The options to use.
  * @param {object} options.config - The EDV configuration.
+ * @param {AbortSignal} [options.signal] - A signal to abort retrying the
+ *   write when conflicts arise.
  *
  * @returns {Promise<object>} Resolves to the database record.
  */
-export async function insert({config} = {}) {
-  return _storage.insert({config});
+export async function insert({config, signal} = {}) {
+  return getDefaultStore().edvs.insert({config, signal});
 }
 
 /**
@@ -50,11 +40,13 @@ export async function insert({config} = {}) {
  *
  * @param {object} options - The options to use.
  * @param {object} options.config - The EDV configuration.
+ * @param {AbortSignal} [options.signal] - A signal to abort retrying the
+ *   write when conflicts arise.
  *
  * @returns {Promise<object>} Resolves to the database record.
  */
-export async function update({config} = {}) {
-  return _storage.update({config});
+export async function update({config, signal} = {}) {
+  return getDefaultStore().edvs.update({config, signal});
 }
 
 /**
@@ -66,5 +58,18 @@ export async function update({config} = {}) {
  * @returns {Promise<object>} Resolves to the database record.
  */
 export async function get({id} = {}) {
-  return _storage.get({id});
+  return getDefaultStore().edvs.get({id});
+}
+
+/**
+ * Removes an EDV configuration.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the EDV.
+ *
+ * @returns {Promise<boolean>} `true` if the configuration was removed, `false`
+ *   if it was not found.
+ */
+export async function remove({id} = {}) {
+  return getDefaultStore().edvs.remove({id});
 }
@@ -0,0 +1,93 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {getDefaultStore} from './EdvStore.js';
+
+/**
+ * Initializes the document history database if it has not already been
+ * initialized.
+ *
+ * @param {object} [options] - The options to use.
+ * @param {string} [options.adapter='indexeddb'] - The PouchDB adapter to use.
+ * @param {object} [options.retry] - The settings for retrying writes that
+ *   conflict: `{maxRetries, minDelay, maxDelay}`, with delays in milliseconds.
+ * @param {Function} [options.onProgress] - A function that is called with
+ *   `{collection, migration, completed, total}` to report the progress of
+ *   any schema migrations.
+ *
+ * @returns {Promise} Settles once the operation completes.
+ */
+export async function initialize({adapter, retry, onProgress} = {}) {
+  return getDefaultStore().history.initialize({adapter, retry, onProgress});
+}
+
+/**
+ * Enables history for an EDV: the versions of its documents that are
+ * replaced will be kept, up to `maxVersions` per document.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.edvId - The ID of the EDV.
+ * @param {number} [options.maxVersions=10] - The maximum number of versions
+ *   to keep of each document.
+ *
+ * @returns {Promise<object>} Resolves to the database record with the history
+ *   settings.
+ */
+export async function enable({edvId, maxVersions} = {}) {
+  return getDefaultStore().history.enable({edvId, maxVersions});
+}
+
+/**
+ * Disables history for an EDV and removes every version that was kept.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.edvId - The ID of the EDV.
+ *
+ * @returns {Promise<object>} Resolves to `{removed}` with the number of
+ *   versions that were removed.
+ */
+export async function disable({edvId} = {}) {
+  return getDefaultStore().history.disable({edvId});
+}
+
+/**
+ * Gets the history settings of an EDV.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.edvId - The ID of the EDV.
+ *
+ * @returns {Promise<object|null>} Resolves to the database record with the
+ *   history settings, `{maxVersions}`, or `null` if history is not enabled
+ *   for the EDV.
+ */
+export async function getSettings({edvId} = {}) {
+  return getDefaultStore().history.getSettings({edvId});
+}
+
+/**
+ * Gets the versions that are kept of an EDV document, newest first.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.edvId - The ID of the EDV.
+ * @param {string} options.docId - The ID of the document.
+ *
+ * @returns {Promise<object>} Resolves to `{records}` with the database
+ *   records of the versions.
+ */
+export async function list({edvId, docId} = {}) {
+  return getDefaultStore().history.list({edvId, docId});
+}
+
+/**
+ * Gets a version of an EDV document.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.edvId - The ID of the EDV.
+ * @param {string} options.docId - The ID of the document.
+ * @param {number} options.sequence - The sequence of the version.
+ *
+ * @returns {Promise<object>} Resolves to the database record.
+ */
+export async function get({edvId, docId, sequence} = {}) {
+  return getDefaultStore().history.get({edvId, docId, sequence});
+}
@@ -0,0 +1,54 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {assert} from './assert.js';
+
+// eslint-disable-next-line no-undef
+const {crypto} = globalThis;
+
+// the key derivation keys used are uniformly random, so no salt is needed
+const ALGORITHM = {name: 'HKDF', hash: 'SHA-256', salt: new Uint8Array()};
+
+/**
+ * Derives a key from a key derivation key using HKDF; the key material is
+ * never exposed if the derived key is not extractable.
+ *
+ * @param {object} options - The options to use.
+ * @param {CryptoKey} options.key - The HKDF key derivation key.
+ * @param {string} options.info - The context-specific information that
+ *   distinguishes the derived key from other keys derived from `key`.
+ * @param {object} options.algorithm - The algorithm of the derived key.
+ * @param {boolean} options.extractable - Whether the derived key can be
+ *   exported.
+ * @param {Array} options.usages - The usages of the derived key.
+ *
+ * @returns {Promise<CryptoKey>} The derived key.
+ */
+export async function deriveKey({
+  key, info, algorithm, extractable, usages
+} = {}) {
+  assert.string(info, 'info');
+  assert.object(algorithm, 'algorithm');
+  assert.array(usages, 'usages');
+  return crypto.subtle.deriveKey(
+    {...ALGORITHM, info: new TextEncoder().encode(info)},
+    key, algorithm, extractable, usages);
+}
+
+/**
+ * Derives bits from a key derivation key using HKDF.
+ *
+ * @param {object} options - The options to use.
+ * @param {CryptoKey} options.key - The HKDF key derivation key.
+ * @param {string} options.info - The context-specific information that
+ *   distinguishes the derived bits from other bits derived from `key`.
+ * @param {number} options.bitLength - The number of bits to derive.
+ *
+ * @returns {Promise<Uint8Array>} The derived bits.
+ */
+export async function deriveBits({key, info, bitLength} = {}) {
+  assert.string(info, 'info');
+  assert.nonNegativeSafeInteger(bitLength, 'bitLength');
+  return new Uint8Array(await crypto.subtle.deriveBits(
+    {...ALGORITHM, info: new TextEncoder().encode(info)}, key, bitLength));
+}
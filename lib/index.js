@@ -1,12 +1,18 @@
 /*!
- * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2022-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import * as chunks from './chunks.js';
 import * as docs from './docs.js';
 import * as edvs from './edvs.js';
+import * as history from './history.js';
 import * as secrets from './secrets.js';
+import * as trash from './trash.js';
 
-export {chunks, docs, edvs, secrets};
+export {chunks, docs, edvs, history, secrets, trash};
+export {close} from './close.js';
+export {destroy} from './destroy.js';
+export {EdvStore} from './EdvStore.js';
 export {initialize} from './initialize.js';
 export {generateLocalId} from './helpers.js';
+export {PouchDB} from './pouchdb.js';
 export {PouchEdvClient} from './PouchEdvClient.js';
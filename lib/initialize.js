@@ -1,21 +1,26 @@
 /*!
- * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2022-2026 Digital Bazaar, Inc. All rights reserved.
  */
-import * as chunks from './chunks.js';
-import * as docs from './docs.js';
-import * as edvs from './edvs.js';
-import * as secrets from './secrets.js';
+import {getDefaultStore} from './EdvStore.js';
 
 /**
- * Initializes all databases required to work with local EDVs.
+ * Initializes all databases required to work with local EDVs using the
+ * default store.
+ *
+ * The default `indexeddb` adapter requires a browser; other PouchDB adapters,
+ * e.g., `memory` or `leveldb` in Node.js, may be used by passing `adapter`,
+ * provided that their plugins have been registered with `PouchDB`.
+ *
+ * @param {object} [options] - The options to use.
+ * @param {string} [options.adapter='indexeddb'] - The PouchDB adapter to use.
+ * @param {object} [options.retry] - The settings for retrying writes that
+ *   conflict: `{maxRetries, minDelay, maxDelay}`, with delays in milliseconds.
+ * @param {Function} [options.onProgress] - A function that is called with
+ *   `{collection, migration, completed, total}` to report the progress of
+ *   any schema migrations.
  *
  * @returns {Promise} Settles once the operation completes.
  */
-export async function initialize() {
-  return Promise.all([
-    chunks.initialize(),
-    docs.initialize(),
-    edvs.initialize(),
-    secrets.initialize()
-  ]);
+export async function initialize({adapter, retry, onProgress} = {}) {
+  return getDefaultStore().initialize({adapter, retry, onProgress});
 }
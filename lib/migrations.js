@@ -0,0 +1,217 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {DEFAULT_PREFIX, PouchDB} from './pouchdb.js';
+
+// ID of the local (never replicated or returned by queries) document that
+// holds the schema version of each collection
+const SCHEMA_VERSION_ID = '_local/schema-version';
+
+// the number of legacy records to copy at a time
+const LEGACY_BATCH_SIZE = 100;
+
+/**
+ * Gets the schema version of a collection. A collection that has never been
+ * migrated has a schema version of `0`.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.client - The PouchDB database for the collection.
+ *
+ * @returns {Promise<number>} Resolves to the schema version.
+ */
+export async function getSchemaVersion({client} = {}) {
+  try {
+    const {version} = await client.get(SCHEMA_VERSION_ID);
+    return version;
+  } catch(e) {
+    if(e.status === 404) {
+      return 0;
+    }
+    throw e;
+  }
+}
+
+/**
+ * Runs, in order, every migration with a `version` greater than the schema
+ * version of a collection, recording the new schema version after each one.
+ *
+ * Migrations must be idempotent: if a migration is interrupted or run
+ * concurrently (e.g., in another tab), it will be run again.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.client - The PouchDB database for the collection.
+ * @param {string} options.collection - The name of the collection.
+ * @param {Array} options.migrations - The migrations for the collection,
+ *   each with `{version, name, migrate}`, sorted by `version`;
+ *   `migrate({client, onProgress})` performs the migration.
+ * @param {Function} [options.onProgress] - A function that is called with
+ *   `{collection, migration, completed, total}` to report the progress of
+ *   each migration.
+ *
+ * @returns {Promise<object>} Resolves to `{version}` with the schema version
+ *   of the collection after migrating.
+ */
+export async function runMigrations({
+  client, collection, migrations, onProgress
+} = {}) {
+  let version = await getSchemaVersion({client});
+  const latest = migrations.at(-1)?.version ?? 0;
+  if(version > latest) {
+    const error = new Error(
+      `The schema version (${version}) of the "${collection}" collection is ` +
+      `newer than the latest supported version (${latest}).`);
+    error.name = 'NotSupportedError';
+    throw error;
+  }
+
+  for(const migration of migrations) {
+    if(migration.version <= version) {
+      continue;
+    }
+    await migration.migrate({
+      client,
+      onProgress: onProgress && (({completed, total}) => onProgress({
+        collection, migration: migration.name, completed, total
+      }))
+    });
+    version = migration.version;
+    await _setSchemaVersion({client, version});
+  }
+  return {version};
+}
+
+/**
+ * Creates a migration that copies the records from the legacy database for
+ * a collection into the database for the collection. Legacy databases were
+ * created with the `idb` adapter and without a database name prefix by
+ * versions of this module prior to 6.0.0.
+ *
+ * The migration only copies records when the `indexeddb` adapter and the
+ * default prefix are used and the legacy database exists. The legacy database
+ * is left as is.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.collection - The name of the collection.
+ * @param {string} options.prefix - The prefix of the collection's database.
+ * @param {Function} options.copy - A function that is called with
+ *   `{records}` to copy each batch of legacy records; it must skip any
+ *   records that were already copied.
+ *
+ * @returns {object} The migration.
+ */
+export function createLegacyIdbMigration({collection, prefix, copy} = {}) {
+  return {
+    version: 1,
+    name: 'legacy-idb',
+    async migrate({client, onProgress}) {
+      if(!(prefix === DEFAULT_PREFIX && client.adapter === 'indexeddb' &&
+        PouchDB.adapters.idb && globalThis.indexedDB &&
+        await _indexedDBExists({name: '_pouch_' + collection}))) {
+        return;
+      }
+
+      const legacy = new PouchDB(collection, {adapter: 'idb'});
+      // force internal remote flag to false to avoid deprecation warnings
+      legacy._remote = false;
+      try {
+        const {doc_count: total} = await legacy.info();
+        let completed = 0;
+        onProgress?.({completed, total});
+        let startkey;
+        while(true) {
+          const {rows} = await legacy.allDocs({
+            include_docs: true, limit: LEGACY_BATCH_SIZE,
+            ...(startkey === undefined ? {} : {startkey})
+          });
+          if(rows.length === 0) {
+            break;
+          }
+          // design docs (indexes) are recreated, not copied
+          const records = rows
+            .filter(({id}) => !id.startsWith('_design/'))
+            .map(({doc}) => {
+              // records are copied as new records
+              const record = {...doc};
+              delete record._rev;
+              return record;
+            });
+          await copy({records});
+          completed += rows.length;
+          onProgress?.({completed, total});
+          startkey = `${rows.at(-1).id}\u0000`;
+        }
+      } finally {
+        await legacy.close();
+      }
+    }
+  };
+}
+
+/**
+ * Copies records into a database, skipping any that already exist.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.client - The PouchDB database to copy into.
+ * @param {Array} options.records - The records to copy, without `_rev`.
+ *
+ * @returns {Promise} Settles once the operation completes.
+ */
+export async function copyRecords({client, records} = {}) {
+  const results = await client.bulkDocs(records);
+  // conflicts mean a record was already copied
+  const error = results.find(({error, status}) => error && status !== 409);
+  if(error) {
+    throw new Error(`Could not copy record "${error.id}": ${error.message}`);
+  }
+}
+
+async function _setSchemaVersion({client, version}) {
+  while(true) {
+    let record;
+    try {
+      record = await client.get(SCHEMA_VERSION_ID);
+    } catch(e) {
+      if(e.status !== 404) {
+        throw e;
+      }
+      record = {_id: SCHEMA_VERSION_ID};
+    }
+    if(record.version >= version) {
+      // already set concurrently (e.g., by another tab)
+      return;
+    }
+    try {
+      await client.put({...record, version});
+      return;
+    } catch(e) {
+      if(e.status !== 409) {
+        throw e;
+      }
+    }
+  }
+}
+
+// checks whether an IndexedDB database exists without creating it
+function _indexedDBExists({name}) {
+  return new Promise((resolve, reject) => {
+    let created = false;
+    const request = indexedDB.open(name);
+    request.onupgradeneeded = () => {
+      // database did not exist; abort its creation
+      created = true;
+      request.transaction.abort();
+    };
+    request.onsuccess = () => {
+      request.result.close();
+      resolve(true);
+    };
+    request.onerror = event => {
+      if(created) {
+        event.preventDefault();
+        resolve(false);
+        return;
+      }
+      reject(request.error);
+    };
+  });
+}
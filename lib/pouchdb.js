@@ -1,5 +1,5 @@
 /*!
- * Copyright (c) 2021-2022 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2021-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import {assert} from './assert.js';
 import PouchDB from 'pouchdb';
@@ -8,90 +8,106 @@ import pouchIndexedDB from 'pouchdb-adapter-indexeddb';
 
 export {PouchDB};
 
-const PREFIX = 'br_edv_';
+// default database name prefix (bedrock EDV)
+export const DEFAULT_PREFIX = 'br_edv_';
 
 // support queries and indexing
 PouchDB.plugin(pouchFind);
 // support native IndexedDB indexes
 PouchDB.plugin(pouchIndexedDB);
 
-/* Add some plugins to get pseudo-uniqueness properties. PouchDB does not have
-some basic uniqueness primitives that other databases have. This includes no
+/* Add some plugins to get uniqueness properties. PouchDB does not have some
+basic uniqueness primitives that other databases have. This includes no
 ability to set unique constraints on custom indexes. These plugins provide
-`insertOne` and `updateOne` APIs that approximate these behaviors but since the
-system primitives are not present, they do not have atomic guarantees. */
-PouchDB.plugin({insertOne, updateOne});
+`insertOne`, `updateOne`, and `writeMany` APIs that approximate these
+behaviors. Since the
+system primitives are not present, constraints expressed as selectors do not
+have atomic guarantees; atomic guarantees are only provided for unique keys
+that are reserved in a separate database using its `_id` conflict
+semantics. */
+PouchDB.plugin({insertOne, updateOne, writeMany});
 
 // enable for debugging purposes only
 // import debugPouch from 'pouchdb-debug';
 // debugPouch(PouchDB);
 // PouchDB.debug.enable('pouchdb:find');
 
+// default settings for retrying writes that fail due to conflicts
+const DEFAULT_RETRY = {
+  // maximum number of retries before failing with a `ConflictError`
+  maxRetries: 10,
+  // minimum and maximum delay, in milliseconds, before retrying
+  minDelay: 10,
+  maxDelay: 1000
+};
+
 // create a pouch DB database w/auto-upgrade flag
 export async function createDatabase({
-  name, auto_compaction = true, adapter = 'indexeddb'
+  name, prefix = DEFAULT_PREFIX, auto_compaction = true, adapter = 'indexeddb',
+  retry = {}
 } = {}) {
-  const client = new PouchDB(PREFIX + name, {
+  retry = {...DEFAULT_RETRY, ...retry};
+  assert.nonNegativeSafeInteger(retry.maxRetries, 'retry.maxRetries');
+  assert.nonNegativeSafeInteger(retry.minDelay, 'retry.minDelay');
+  assert.nonNegativeSafeInteger(retry.maxDelay, 'retry.maxDelay');
+
+  const client = new PouchDB(prefix + name, {
     auto_compaction,
     adapter
   });
   // force internal remote flag to false to avoid deprecation warnings
   client._remote = false;
+  // settings used by `insertOne` and `updateOne` when conflicts arise
+  client.retry = retry;
   return client;
 }
 
 // purge all deleted documents in a pouch DB database
-export async function purge({name} = {}) {
-  // purge any deleted records to recover storage space
-  let db;
-  let deleted = 0;
-  try {
-    // apply prefixes to database name
-    name = '_pouch_' + PREFIX + name;
-    // open database and handle various events
-    db = await new Promise((resolve, reject) => {
-      const request = indexedDB.open(name);
-      request.onblocked = event => {
-        db = event.target.result;
-        reject(new Error('Cannot purge right now; database access blocked.'));
-      };
-      request.onupgradeneeded = event => {
-        db = event.target.result;
-        reject(new Error('Nothing to purge; database not ready yet.'));
-      };
-      request.onsuccess = event => resolve(event.target.result);
-      request.onerror = event => reject(event.target.error);
-    });
-    if(![...db.objectStoreNames].includes('docs')) {
-      return;
-    }
-    const transaction = db.transaction(['docs'], 'readwrite');
-    const transactionPromise = new Promise((resolve, reject) => {
-      transaction.oncomplete = resolve;
-      transaction.onabort = () => reject(transaction.error);
-      transaction.onerror = () => reject(transaction.error);
+export async function purge({client} = {}) {
+  if(client.adapter === 'indexeddb') {
+    return _purgeIndexedDB({name: client.name});
+  }
+
+  /* Note: Other adapters (e.g., `memory` and `leveldb` in Node.js) provide no
+  way to remove deleted documents entirely; compaction is used instead to
+  recover the storage space used by non-leaf revisions. */
+  await client.compact();
+  return {deleted: 0};
+}
+
+// remove all documents w/an `_id` that starts w/`prefix` from a pouch DB
+// database; conflicts are ignored as they mean a document was changed
+// concurrently (e.g., by another tab that is also removing it)
+export async function removeByPrefix({client, prefix, batchSize = 100} = {}) {
+  let removed = 0;
+  let startkey = prefix;
+  while(true) {
+    const {rows} = await client.allDocs({
+      startkey, endkey: `${prefix}\ufff0`, limit: batchSize
     });
-    const objectStore = transaction.objectStore('docs');
-    const request = objectStore.openCursor();
-    let cursor = await _promisifyIDBInterface(request);
-    while(cursor) {
-      const {value} = cursor;
-      if(value.deleted === 1) {
-        await _promisifyIDBInterface(cursor.delete());
-        deleted++;
-      }
-      const next = _promisifyIDBInterface(request);
-      cursor.continue();
-      cursor = await next;
+    if(rows.length === 0) {
+      return {removed};
     }
-    await transactionPromise;
-  } catch(e) {
-    throw e;
-  } finally {
-    db?.close();
+    const results = await client.bulkDocs(rows.map(
+      ({id, value}) => ({_id: id, _rev: value.rev, _deleted: true})));
+    removed += results.filter(({ok}) => ok).length;
+    // deleted documents are not returned by `allDocs`, but start after the
+    // last row to ensure progress if a document was concurrently recreated
+    startkey = `${rows[rows.length - 1].id}\u0000`;
   }
+}
 
-  return {deleted};
+// create an error for a write that would violate a uniqueness constraint
+export function createConstraintError({
+  operation, doc, existing, uniqueConstraints
+} = {}) {
+  const error = new Error(
+    `Could not ${operation} document; uniqueness constraint violation.`);
+  error.name = 'ConstraintError';
+  error.doc = doc;
+  error.existing = existing;
+  error.uniqueConstraints = uniqueConstraints;
+  return error;
 }
 
 /**
@@ -99,17 +115,32 @@ export async function purge({name} = {}) {
  * the selectors and options in the given `uniqueConstraints` array do not
  * return any results.
  *
+ * If `reservations` is given, each of its `keys` is claimed atomically for
+ * the document before it is written by inserting a reservation document with
+ * that key as its `_id` into the separate `reservations.client` database. If
+ * any key is already claimed by another document that still holds it, the
+ * insert fails.
+ *
  * @param {object} options - The options to use.
  * @param {object} options.doc - The document to insert.
  * @param {object} [options.uniqueConstraints] - Any additional uniqueness
  *   constraints to enforce beyond the `_id` index (each entry includes
  *   `selector` and `options`).
+ * @param {object} [options.reservations] - Unique keys to reserve for the
+ *   document: `{client, keys, getKeys}`, where `client` is the reservations
+ *   database, `keys` the keys to claim, and `getKeys(record)` a function
+ *   returning the keys any existing record holds.
+ * @param {AbortSignal} [options.signal] - A signal to abort retrying the
+ *   insert when conflicts arise.
  *
  * @returns {Promise<object>} Resolves to the insert result.
  */
-async function insertOne({doc, uniqueConstraints = []} = {}) {
+async function insertOne({
+  doc, uniqueConstraints = [], reservations, signal
+} = {}) {
   assert.object(doc, 'doc');
   assert.array(uniqueConstraints, 'uniqueConstraints');
+  _assertReservations({doc, reservations});
 
   // build default unique constraints for `_id`
   if(doc._id) {
@@ -117,9 +148,12 @@ async function insertOne({doc, uniqueConstraints = []} = {}) {
     uniqueConstraints.push({selector: {_id: doc._id}});
   }
 
-  // keep attempting insert whilst conflict errors arise -- this mitigates
-  // concurrency issues w/`_id` (but not other unique constraints)
-  while(true) {
+  // keep attempting insert whilst conflict errors arise (up to the maximum
+  // number of retries) -- this mitigates concurrency issues w/`_id`; other
+  // unique constraints are only atomic when they are enforced via
+  // `reservations`
+  for(let retries = 0; ; ++retries) {
+    signal?.throwIfAborted();
     try {
       // check all uniqueness constraints
       const [existing] = await Promise.all(uniqueConstraints
@@ -127,19 +161,34 @@ async function insertOne({doc, uniqueConstraints = []} = {}) {
           this, {doc, selector, options})));
       if(existing) {
         // document already exists, throw error
-        const error = new Error(
-          'Could not insert document; uniqueness constraint violation.');
-        error.name = 'ConstraintError';
-        error.doc = doc;
-        error.existing = existing;
-        error.uniqueConstraints = uniqueConstraints;
-        throw error;
+        throw createConstraintError({
+          operation: 'insert', doc, existing, uniqueConstraints
+        });
       }
 
-      // this is not atomic w/the unique contraints check, so if concurrent
-      // processes update the same information the constraints may no longer
-      // be met
-      const result = await (doc._id ? this.put(doc) : this.post(doc));
+      // claim all reservations prior to writing
+      const claimed = await _claimReservations.call(this, {
+        operation: 'insert', doc, reservations, uniqueConstraints, signal
+      });
+
+      let result;
+      try {
+        result = await (doc._id ? this.put(doc) : this.post(doc));
+      } catch(e) {
+        await _releaseReservations({reservations, keys: claimed, doc});
+        throw e;
+      }
+
+      // ensure no reservation was taken over by a concurrent process before
+      // the write completed, otherwise undo the write
+      const lost = await _verifyReservations.call(this, {doc, reservations});
+      if(lost) {
+        await this.put({_id: result.id, _rev: result.rev, _deleted: true});
+        await _releaseReservations({reservations, keys: claimed, doc});
+        throw createConstraintError({
+          operation: 'insert', doc, existing: lost.existing, uniqueConstraints
+        });
+      }
 
       // build the full record
       const record = {
@@ -152,6 +201,9 @@ async function insertOne({doc, uniqueConstraints = []} = {}) {
       // only capture PouchErrors here, not local `ConstraintError`, the latter
       // should be thrown and stop this loop
       if(e.status === 409) {
+        await _backoff({
+          retry: this.retry, retries, signal, doc, cause: e
+        });
         continue;
       }
       throw e;
@@ -167,6 +219,10 @@ async function insertOne({doc, uniqueConstraints = []} = {}) {
  * the uniqueness constraints, the document will be inserted. If `doc._id` is
  * set then unique constraints for it will be auto-generated.
  *
+ * If `reservations` is given, any of its `keys` not yet held by the document
+ * are claimed atomically before it is written (see `insertOne`) and any keys
+ * the document no longer holds are released once it has been written.
+ *
  * @param {object} options - The options to use.
  * @param {object} options.doc - The document to update.
  * @param {object} options.query - The selector and options to use to query.
@@ -175,20 +231,29 @@ async function insertOne({doc, uniqueConstraints = []} = {}) {
  * @param {object} [options.uniqueConstraints] - Any additional uniqueness
  *   constraints to enforce beyond the `_id` index (each entry includes
  *   `selector` and `options`).
+ * @param {object} [options.reservations] - Unique keys to reserve for the
+ *   document: `{client, keys, getKeys}` (see `insertOne`).
+ * @param {AbortSignal} [options.signal] - A signal to abort retrying the
+ *   update when conflicts arise.
  *
  * @returns {Promise<object|boolean>} Resolves to the update result or
  *   `false` if `upsert=false` and no matching record was found.
  */
 async function updateOne({
-  doc, query, upsert = false, uniqueConstraints = []
+  doc, query, upsert = false, uniqueConstraints = [], reservations, signal
 } = {}) {
+  _assertReservations({doc, reservations});
+
   // use a separate `uniqueConstraints` variable for updating (vs. inserting)
   // to avoid passing a modified version to `insertOne`
   let updateUniqueConstraints;
 
-  // keep attempting update whilst conflict errors arise -- this mitigates
-  // concurrency issues w/`_id` (but not other unique constraints)
-  while(true) {
+  // keep attempting update whilst conflict errors arise (up to the maximum
+  // number of retries) -- this mitigates concurrency issues w/`_id`; other
+  // unique constraints are only atomic when they are enforced via
+  // `reservations`
+  for(let retries = 0; ; ++retries) {
+    signal?.throwIfAborted();
     try {
       // get matching record
       const {selector, options} = query;
@@ -199,7 +264,8 @@ async function updateOne({
           return false;
         }
         // attempt an insert
-        return await this.insertOne({doc, uniqueConstraints});
+        return await this.insertOne(
+          {doc, uniqueConstraints, reservations, signal});
       }
 
       // create unique constraints for update
@@ -220,29 +286,57 @@ async function updateOne({
       // all uniqueness constraints, otherwise reject the update as it would
       // violate them
       for(const record of existingRecords) {
-        if(existing._id !== record?._id) {
-          const error = new Error(
-            'Could not update document; uniqueness constraint violation.');
-          error.name = 'ConstraintError';
-          error.doc = doc;
-          error.existing = record;
-          error.uniqueConstraints = updateUniqueConstraints;
-          throw error;
+        if(record && existing._id !== record._id) {
+          throw createConstraintError({
+            operation: 'update', doc, existing: record,
+            uniqueConstraints: updateUniqueConstraints
+          });
         }
       }
 
-      /* Note: Sadly, this is not atomic with the unique contraints checks, so
-      degenerate cases where concurrent inserts/updates are made may cause
-      uniqueness violations. This is an accepted limitation of this
-      implementation and the primitives currently offered by PouchDB. The
-      remedy to this problem when it occurs is to update N-1 of the documents
-      that duplicate each other in some way (to remove the duplication). */
-      const result = await this.put({
-        _id: existing._id,
-        _rev: existing._rev,
-        ...doc
+      // claim any new reservations prior to writing
+      const claimed = await _claimReservations.call(this, {
+        operation: 'update', doc, reservations,
+        uniqueConstraints: updateUniqueConstraints, signal
       });
 
+      /* Note: Unique constraints that are not enforced via `reservations` are
+      not atomic with the checks above, so degenerate cases where concurrent
+      inserts/updates are made may cause uniqueness violations. The remedy to
+      this problem when it occurs is to update N-1 of the documents that
+      duplicate each other in some way (to remove the duplication). */
+      let result;
+      try {
+        result = await this.put({
+          _id: existing._id,
+          _rev: existing._rev,
+          ...doc
+        });
+      } catch(e) {
+        await _releaseReservations({reservations, keys: claimed, doc});
+        throw e;
+      }
+
+      // ensure no reservation was taken over by a concurrent process before
+      // the write completed, otherwise restore the existing record
+      const lost = await _verifyReservations.call(this, {doc, reservations});
+      if(lost) {
+        await this.put({...existing, _rev: result.rev});
+        await _releaseReservations({reservations, keys: claimed, doc});
+        throw createConstraintError({
+          operation: 'update', doc, existing: lost.existing,
+          uniqueConstraints: updateUniqueConstraints
+        });
+      }
+
+      // release any reservations the existing record held that the updated
+      // document no longer holds
+      if(reservations) {
+        const keys = reservations.getKeys(existing)
+          .filter(key => !reservations.keys.includes(key));
+        await _releaseReservations({reservations, keys, doc});
+      }
+
       // build the full record
       const record = {
         ...doc,
@@ -254,6 +348,9 @@ async function updateOne({
       // only capture PouchErrors here, not local `ConstraintError`, the latter
       // should be thrown and stop this loop
       if(e.status === 409) {
+        await _backoff({
+          retry: this.retry, retries, signal, doc, cause: e
+        });
         continue;
       }
       throw e;
@@ -261,6 +358,111 @@ async function updateOne({
   }
 }
 
+/**
+ * Writes many documents to a PouchDB database in a single batch, claiming the
+ * reservations (see `insertOne`) of every document in a single batch as well.
+ *
+ * Each entry is `{doc, existing, reservations}`, where `doc` must have an
+ * `_id` and `existing` is the record that `doc` replaces, if any. No
+ * uniqueness constraints other than `_id` and `reservations` are checked, so
+ * any others must be checked beforehand. An entry that cannot be written
+ * because of a conflict, either with its `_id` or with one of its
+ * reservations, is left unwritten and reported as a conflict so that it can
+ * be written via `insertOne` or `updateOne` instead, which resolve conflicts.
+ *
+ * @param {object} options - The options to use.
+ * @param {Array} options.entries - The entries to write.
+ *
+ * @returns {Promise<Array>} Resolves to a result for each entry, in order:
+ *   `{ok: true, id, rev, record}` if it was written, `{conflict: true}` if it
+ *   had a conflict, or `{error}` if it could not be written.
+ */
+async function writeMany({entries} = {}) {
+  assert.array(entries, 'entries');
+  for(const {doc, reservations} of entries) {
+    assert.object(doc, 'doc');
+    assert.string(doc._id, 'doc._id');
+    _assertReservations({doc, reservations});
+  }
+
+  const results = new Array(entries.length);
+  const fail = (i, error) => {
+    results[i] = error.status === 409 ? {conflict: true} : {error};
+  };
+
+  // claim the reservations that each entry does not yet hold
+  const claims = entries.map(({doc, existing, reservations}) => {
+    if(!reservations) {
+      return {doc, reservations, keys: []};
+    }
+    const held = existing ? reservations.getKeys(existing) : [];
+    const keys = reservations.keys.filter(key => !held.includes(key));
+    return {doc, reservations, keys};
+  });
+  const claimed = await _claimManyReservations({claims});
+  for(const [i, {error}] of claimed.entries()) {
+    if(error) {
+      fail(i, error);
+    }
+  }
+
+  // write every entry that claimed all of its reservations
+  const pending = [];
+  for(const [i, {doc, existing}] of entries.entries()) {
+    if(!results[i]) {
+      pending.push({i, doc: existing ? {...doc, _rev: existing._rev} : doc});
+    }
+  }
+  if(pending.length > 0) {
+    const responses = await this.bulkDocs(pending.map(({doc}) => doc));
+    for(const [j, response] of responses.entries()) {
+      const {i, doc} = pending[j];
+      if(response.ok) {
+        const {id, rev} = response;
+        results[i] = {ok: true, id, rev, record: {...doc, _id: id, _rev: rev}};
+      } else {
+        fail(i, response);
+      }
+    }
+  }
+
+  // ensure no reservation was taken over by a concurrent process before the
+  // writes completed, otherwise undo the write and report a conflict
+  const written = [];
+  for(const [i, {doc, reservations}] of entries.entries()) {
+    if(results[i].ok && reservations?.keys.length > 0) {
+      written.push({i, doc, reservations});
+    }
+  }
+  const lost = await _findLostReservations({entries: written});
+  for(const i of lost.map(j => written[j].i)) {
+    const {existing} = entries[i];
+    const {id, rev} = results[i];
+    await this.put(existing ?
+      {...existing, _rev: rev} : {_id: id, _rev: rev, _deleted: true});
+    results[i] = {conflict: true};
+  }
+
+  // release the reservations claimed by entries that were not written and
+  // any reservations that replaced records no longer hold
+  const releases = [];
+  for(const [i, {doc, existing, reservations}] of entries.entries()) {
+    if(!reservations) {
+      continue;
+    }
+    if(!results[i].ok) {
+      releases.push({reservations, keys: claimed[i].keys, doc});
+    } else if(existing) {
+      const keys = reservations.getKeys(existing)
+        .filter(key => !reservations.keys.includes(key));
+      releases.push({reservations, keys, doc});
+    }
+  }
+  await _releaseManyReservations({releases});
+
+  return results;
+}
+
 async function _getExisting({doc, selector, options}) {
   if(!selector && !doc._id) {
     throw new Error('Either "selector" or "doc._id" must be set.');
@@ -289,9 +491,331 @@ async function _getExisting({doc, selector, options}) {
   return existing;
 }
 
+function _assertReservations({doc, reservations}) {
+  if(reservations === undefined) {
+    return;
+  }
+  assert.object(reservations, 'reservations');
+  assert.object(reservations.client, 'reservations.client');
+  assert.array(reservations.keys, 'reservations.keys');
+  if(typeof reservations.getKeys !== 'function') {
+    throw new TypeError('"reservations.getKeys" must be a function.');
+  }
+  assert.string(doc?._id, 'doc._id');
+}
+
+async function _claimReservations({
+  operation, doc, reservations, uniqueConstraints, signal
+}) {
+  // claim each key in order, tracking which ones were newly claimed so they
+  // can be released should a subsequent claim fail
+  const claimed = [];
+  if(!reservations) {
+    return claimed;
+  }
+  try {
+    for(const key of reservations.keys) {
+      const result = await _claimReservation.call(
+        this, {doc, key, reservations, signal});
+      if(result === true) {
+        claimed.push(key);
+      } else if(result) {
+        throw createConstraintError(
+          {operation, doc, existing: result, uniqueConstraints});
+      }
+    }
+  } catch(e) {
+    await _releaseReservations({reservations, keys: claimed, doc});
+    throw e;
+  }
+  return claimed;
+}
+
+// returns `true` if the reservation was newly claimed, `false` if it was
+// already held by `doc`, or the existing record holding the reservation
+async function _claimReservation({doc, key, reservations, signal}) {
+  const {client} = reservations;
+  const owner = doc._id;
+  for(let retries = 0; ; ++retries) {
+    if(retries > 0) {
+      await _backoff({retry: client.retry, retries: retries - 1, signal, doc});
+    }
+    try {
+      await client.put({_id: key, owner});
+      return true;
+    } catch(e) {
+      if(e.status !== 409) {
+        throw e;
+      }
+    }
+
+    // reservation already exists, see if it is held by `doc` or is stale
+    let reservation;
+    try {
+      reservation = await client.get(key);
+    } catch(e) {
+      if(e.status === 404) {
+        // reservation was just released, try again
+        continue;
+      }
+      throw e;
+    }
+    if(reservation.owner === owner) {
+      return false;
+    }
+    let existing = await _getReservationHolder.call(
+      this, {key, reservation, reservations});
+    if(existing) {
+      return existing;
+    }
+
+    // reservation is stale (e.g., its owner was deleted or a write failed
+    // after claiming it), so take it over
+    let result;
+    try {
+      result = await client.put({_id: key, _rev: reservation._rev, owner});
+    } catch(e) {
+      if(e.status === 409) {
+        continue;
+      }
+      throw e;
+    }
+
+    /* Note: The previous owner could have been in the middle of being written
+    when its reservation appeared stale. Check it again now that the takeover
+    has been written: if it holds the key now, give the reservation back. If
+    it is written later, its own post-write verification will detect that the
+    reservation was lost and its write will be undone. */
+    existing = await _getReservationHolder.call(
+      this, {key, reservation, reservations});
+    if(existing) {
+      await client.put({
+        _id: key, _rev: result.rev, owner: reservation.owner
+      }).catch(() => {});
+      return existing;
+    }
+    return true;
+  }
+}
+
+// gets the record that owns a reservation if it still holds its key
+async function _getReservationHolder({key, reservation, reservations}) {
+  let record;
+  try {
+    record = await this.get(reservation.owner);
+  } catch(e) {
+    if(e.status === 404) {
+      return;
+    }
+    throw e;
+  }
+  if(reservations.getKeys(record).includes(key)) {
+    return record;
+  }
+}
+
+async function _releaseReservations({reservations, keys, doc}) {
+  if(!(reservations && keys.length > 0)) {
+    return;
+  }
+  // only release reservations that are still owned by `doc`
+  const {client} = reservations;
+  const {rows} = await client.allDocs({keys, include_docs: true});
+  const released = rows
+    .filter(({doc: reservation}) => reservation?.owner === doc._id)
+    .map(({doc: reservation}) => ({...reservation, _deleted: true}));
+  if(released.length > 0) {
+    // conflicts mean the reservation was changed concurrently and is no
+    // longer owned by `doc`, so they are safely ignored
+    await client.bulkDocs(released);
+  }
+}
+
+// claims the `keys` of every claim `{doc, reservations, keys}` in a single
+// batch per reservations database; resolves to `{keys, error}` for each
+// claim, where `keys` are the keys that were claimed and `error` is set if
+// any key could not be claimed
+async function _claimManyReservations({claims}) {
+  const claimed = claims.map(() => ({keys: []}));
+  for(const [client, indexes] of _groupByClient(claims)) {
+    const pending = indexes.flatMap(i => claims[i].keys.map(
+      key => ({i, key, owner: claims[i].doc._id})));
+    if(pending.length === 0) {
+      continue;
+    }
+    const responses = await client.bulkDocs(
+      pending.map(({key, owner}) => ({_id: key, owner})));
+    for(const [j, response] of responses.entries()) {
+      const {i, key} = pending[j];
+      if(response.ok) {
+        claimed[i].keys.push(key);
+      } else {
+        claimed[i].error ??= response;
+      }
+    }
+  }
+  return claimed;
+}
+
+// releases the `keys` of every release `{reservations, keys, doc}` that are
+// still owned by its `doc` in a single batch per reservations database
+async function _releaseManyReservations({releases}) {
+  for(const [client, indexes] of _groupByClient(releases)) {
+    const pending = indexes.flatMap(i => releases[i].keys.map(
+      key => ({key, owner: releases[i].doc._id})));
+    if(pending.length === 0) {
+      continue;
+    }
+    const {rows} = await client.allDocs(
+      {keys: pending.map(({key}) => key), include_docs: true});
+    const released = rows
+      .filter(({doc: reservation}, j) =>
+        reservation?.owner === pending[j].owner)
+      .map(({doc: reservation}) => ({...reservation, _deleted: true}));
+    if(released.length > 0) {
+      // see `_releaseReservations`
+      await client.bulkDocs(released);
+    }
+  }
+}
+
+// returns the indexes of the entries `{doc, reservations}` that lost any of
+// their reservations, checking them in a single batch per reservations
+// database
+async function _findLostReservations({entries}) {
+  const lost = new Set();
+  for(const [client, indexes] of _groupByClient(entries)) {
+    const pending = indexes.flatMap(i => entries[i].reservations.keys.map(
+      key => ({i, key, owner: entries[i].doc._id})));
+    const {rows} = await client.allDocs(
+      {keys: pending.map(({key}) => key), include_docs: true});
+    pending
+      .filter(({owner}, j) => rows[j].doc?.owner !== owner)
+      .forEach(({i}) => lost.add(i));
+  }
+  return [...lost];
+}
+
+// groups the indexes of the items w/`reservations` by reservations database
+function _groupByClient(items) {
+  const groups = new Map();
+  for(const [i, {reservations}] of items.entries()) {
+    if(!reservations) {
+      continue;
+    }
+    if(!groups.has(reservations.client)) {
+      groups.set(reservations.client, []);
+    }
+    groups.get(reservations.client).push(i);
+  }
+  return groups;
+}
+
+// returns `{existing}` if `doc` lost any of its reservations, where
+// `existing` is the record now holding it (if any), otherwise `false`
+async function _verifyReservations({doc, reservations}) {
+  if(!(reservations && reservations.keys.length > 0)) {
+    return false;
+  }
+  const {client, keys} = reservations;
+  const {rows} = await client.allDocs({keys, include_docs: true});
+  const lost = rows.find(row => row.doc?.owner !== doc._id);
+  if(!lost) {
+    return false;
+  }
+  const existing = lost.doc && await _getReservationHolder.call(
+    this, {key: lost.key, reservation: lost.doc, reservations});
+  return {existing};
+}
+
+async function _backoff({retry, retries, signal, doc, cause}) {
+  if(retries >= retry.maxRetries) {
+    const error = new Error(
+      'Could not write document; too many concurrent conflicts.');
+    error.name = 'ConflictError';
+    error.doc = doc;
+    error.cause = cause;
+    throw error;
+  }
+
+  // exponential back-off w/"full jitter" to spread out competing writers
+  const {minDelay, maxDelay} = retry;
+  const delay = Math.min(maxDelay, minDelay * (2 ** retries));
+  await _sleep({delay: Math.round(Math.random() * delay), signal});
+}
+
+async function _purgeIndexedDB({name}) {
+  // purge any deleted records to recover storage space
+  let db;
+  let deleted = 0;
+  try {
+    // apply pouch prefix to database name
+    name = '_pouch_' + name;
+    // open database and handle various events
+    db = await new Promise((resolve, reject) => {
+      const request = indexedDB.open(name);
+      request.onblocked = event => {
+        db = event.target.result;
+        reject(new Error('Cannot purge right now; database access blocked.'));
+      };
+      request.onupgradeneeded = event => {
+        db = event.target.result;
+        reject(new Error('Nothing to purge; database not ready yet.'));
+      };
+      request.onsuccess = event => resolve(event.target.result);
+      request.onerror = event => reject(event.target.error);
+    });
+    if(![...db.objectStoreNames].includes('docs')) {
+      return;
+    }
+    const transaction = db.transaction(['docs'], 'readwrite');
+    const transactionPromise = new Promise((resolve, reject) => {
+      transaction.oncomplete = resolve;
+      transaction.onabort = () => reject(transaction.error);
+      transaction.onerror = () => reject(transaction.error);
+    });
+    const objectStore = transaction.objectStore('docs');
+    const request = objectStore.openCursor();
+    let cursor = await _promisifyIDBInterface(request);
+    while(cursor) {
+      const {value} = cursor;
+      if(value.deleted === 1) {
+        await _promisifyIDBInterface(cursor.delete());
+        deleted++;
+      }
+      const next = _promisifyIDBInterface(request);
+      cursor.continue();
+      cursor = await next;
+    }
+    await transactionPromise;
+  } catch(e) {
+    throw e;
+  } finally {
+    db?.close();
+  }
+
+  return {deleted};
+}
+
 function _promisifyIDBInterface(idbInterface) {
   return new Promise((resolve, reject) => {
     idbInterface.onsuccess = event => resolve(event.target.result);
     idbInterface.onerror = event => reject(event.target.error);
   });
 }
+
+function _sleep({delay, signal}) {
+  signal?.throwIfAborted();
+  return new Promise((resolve, reject) => {
+    let timer = null;
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, delay);
+    signal?.addEventListener('abort', onAbort, {once: true});
+  });
+}
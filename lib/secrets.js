@@ -1,11 +1,15 @@
 /*!
- * Copyright (c) 2021-2023 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2021-2026 Digital Bazaar, Inc. All rights reserved.
  */
+import * as argon2 from './argon2.js';
 import * as EcdsaMultikey from '@digitalbazaar/ecdsa-multikey';
-import {multihashDecode, multihashEncode, uuid} from './helpers.js';
+import * as hkdf from './hkdf.js';
+import * as pbkdf2 from './pbkdf2.js';
+import {
+  getRandomBytes, multihashDecode, multihashEncode, uuid
+} from './helpers.js';
 import {assert} from './assert.js';
-import {ConfigStorage} from './ConfigStorage.js';
-import {deriveBits} from './pbkdf2.js';
+import {getDefaultStore} from './EdvStore.js';
 import {Hmac} from './Hmac.js';
 import {Kek} from './Kek.js';
 import {P256Kak} from './P256Kak.js';
@@ -16,132 +20,191 @@ const UNWRAPPED_KAK_SIZE = 72;
 // wrapped KAK + 8 byte AES-KW overhead
 const WRAPPED_KAK_SIZE = 80;
 
+// the algorithm of key derivation keys that are used as HMAC keys
+const KDK_HMAC_ALGORITHM = {name: 'HMAC', hash: {name: 'SHA-256'}};
+
 const VERSIONS = new Map([
   ['1', {
     // parameters for version 1
+    kdf: 'PBKDF2',
+    // the HMAC key is derived outside of WebCrypto and, like the KEK, is
+    // extractable
+    extractableKeys: true,
     iterations: 100000,
     // AES-KW is used on a 32 byte key w/8 byte overhead
     wrappedKeySize: 40,
     // salt size in bytes
     saltSize: 16
+  }],
+  ['2', {
+    // parameters for version 2; secrets have key slots and the memory-hard
+    // Argon2id cost parameters are stored in each slot (as `slot.kdf`) so
+    // they can be raised without a new version, these are the defaults for
+    // new slots (the OWASP recommended minimum)
+    kdf: 'Argon2id',
+    extractableKeys: true,
+    memory: 19456,
+    iterations: 2,
+    parallelism: 1,
+    // AES-KW is used on a 32 byte key w/8 byte overhead
+    wrappedKeySize: 40,
+    // salt size in bytes
+    saltSize: 16
+  }],
+  ['3', {
+    // parameters for version 3; the same as version 2 except that the HMAC
+    // key is derived using HKDF within WebCrypto and it and the KEK are not
+    // extractable, so these keys cannot be read from a live client; as the
+    // HMAC and key agreement keys differ from those derived by the other
+    // versions, secrets are never upgraded to this version
+    kdf: 'Argon2id',
+    extractableKeys: false,
+    memory: 19456,
+    iterations: 2,
+    parallelism: 1,
+    // AES-KW is used on a 32 byte key w/8 byte overhead
+    wrappedKeySize: 40,
+    // salt size in bytes
+    saltSize: 16
   }]
 ]);
 
-let _storage;
+// the label of the key slot of a newly generated secret
+const DEFAULT_SLOT_LABEL = 'password';
+
+// the size, in bytes, of generated recovery codes
+const RECOVERY_CODE_SIZE = 16;
+
+/**
+ * The version of new secrets. Secrets with an older version are upgraded to
+ * the latest version that derives the same keys (see `needsUpgrade`) when
+ * they are unlocked via `PouchEdvClient.fromLocalSecrets()`.
+ */
+export const LATEST_VERSION = '3';
 
 /**
  * Initializes the encrypted secrets database.
  *
+ * @param {object} [options] - The options to use.
+ * @param {string} [options.adapter='indexeddb'] - The PouchDB adapter to use.
+ * @param {object} [options.retry] - The settings for retrying writes that
+ *   conflict: `{maxRetries, minDelay, maxDelay}`, with delays in milliseconds.
+ * @param {Function} [options.onProgress] - A function that is called with
+ *   `{collection, migration, completed, total}` to report the progress of
+ *   any schema migrations.
+ *
  * @returns {Promise} Settles once the operation completes.
  */
-export async function initialize() {
-  if(_storage) {
-    // already initialized
-    return;
-  }
-
-  _storage = new ConfigStorage({
-    assertConfig: assert.secretConfig,
-    collectionName: 'edv-storage-secret'
-  });
-
-  await _storage.initialize();
-
-  // queries by hmac ID
-  await _storage.client.createIndex({
-    index: {
-      fields: ['config.hmacId']
-    }
-  });
-
-  // queries by keyAgreementKeyId (key agreement key ID)
-  await _storage.client.createIndex({
-    index: {
-      fields: ['config.keyAgreementKeyId']
-    }
-  });
+export async function initialize({adapter, retry, onProgress} = {}) {
+  return getDefaultStore().secrets.initialize({adapter, retry, onProgress});
 }
 
 /**
- * Decrypts a secret so its derived keys can be used.
+ * Decrypts a secret so its derived keys can be used. Exactly one of a
+ * password, a recovery code, or a device key must be given; it is tried
+ * against each key slot of the secret of the matching type.
  *
  * @param {object} options - The options to use.
  * @param {object} options.config - The secret configuration.
- * @param {object} options.password - The password to use to decrypt.
+ * @param {string} [options.password] - The password to use to decrypt.
+ * @param {string} [options.recoveryCode] - The recovery code to use to
+ *   decrypt.
+ * @param {object} [options.deviceKey] - The device key to use to decrypt,
+ *   `{id, key}`, see `generateDeviceKey`.
  *
  * @returns {Promise<object>} Returns {hmac, keyAgreementKey, cipherVersion} on
- *   success and `null` if the password was invalid.
+ *   success and `null` if the password, recovery code, or device key was
+ *   invalid.
  */
-export async function decrypt({config, password} = {}) {
+export async function decrypt({
+  config, password, recoveryCode, deviceKey
+} = {}) {
   assert.secretConfig(config);
-  assert.string(password, 'password');
+  const credential = _getCredential({password, recoveryCode, deviceKey});
 
-  // use password and version parameters to derive key encryption
+  // unwrap key derivation key using a key slot
   const {secret} = config;
-  const {version, salt, wrappedKey} = secret;
-  const {wrappedKeySize, saltSize} = VERSIONS.get(version);
-  const {kek} = await _deriveKek({
-    password,
-    salt: await multihashDecode({
-      expectedSize: saltSize, encoded: salt
-    }),
-    version
-  });
-
-  // unwrap key derivation key
-  const unwrappedKey = await kek.unwrapKey({
-    wrappedKey: await multihashDecode({
-      expectedSize: wrappedKeySize, encoded: wrappedKey
-    })
-  });
-  if(!unwrappedKey) {
-    // invalid password
+  const {version} = secret;
+  const unlocked = await _unlock(
+    {version, slots: _getSlots({secret}), credential, purpose: 'derive'});
+  if(!unlocked) {
+    // invalid password, recovery code, or device key
     return null;
   }
-
-  // import KDK and clear secret value from memory
-  const kdk = await Hmac.import({secret: unwrappedKey});
-  unwrappedKey.fill(0);
+  const {slot, kek, kdk} = unlocked;
 
   // derive HMAC and key agreement keys
   const {
     hmac, keyAgreementKey, cipherVersion
-  } = await _deriveKeys({kdk, kek, secret});
+  } = await _deriveKeys({version, kdk, kek, slot});
   hmac.id = config.hmacId;
   keyAgreementKey.id = config.keyAgreementKeyId;
   return {hmac, keyAgreementKey, cipherVersion};
 }
 
 /**
- * Generates a new encrypted secret configuration.
+ * Generates a new encrypted secret configuration. A secret of version "2" or
+ * "3" has a single key slot, labeled "password", that is unlocked by the
+ * password; more key slots can be added via `addSlot`. The HMAC key and the
+ * KEK of a version "3" secret are not extractable; other versions are only
+ * meant for compatibility.
  *
  * @param {object} options - The options to use.
  * @param {string} options.id - The ID for the secret.
  * @param {string} options.password - The password to encrypt the secret.
- * @param {string} options.version - The secret version.
+ * @param {string} [options.version='3'] - The secret version.
  * @param {string} [options.cipherVersion='recommended'] - Sets the cipher
  *   version to either "recommended" or "fips".
  *
  * @returns {Promise<object>} Resolves to `{hmac, keyAgreementKey, config}`.
  */
 export async function generate({
-  id, version = '1', password, cipherVersion = 'recommended'
+  id, version = LATEST_VERSION, password, cipherVersion = 'recommended'
 } = {}) {
-  if(version !== '1') {
-    throw new Error('"version" must be "1".');
+  if(!VERSIONS.has(version)) {
+    throw new Error('"version" must be "1", "2", or "3".');
   }
   assert.string(id, 'id');
   assert.string(password, 'password');
 
-  // generate an HMAC key for deriving other keys
-  const kdk = await Hmac.generate();
+  // generate an HMAC key for deriving other keys; it is only used to be
+  // wrapped
+  const {key: unwrappedKey} = await Hmac.generate();
+
+  // if `fips` cipher version is used, generate random key agreement key
+  // instead of deriving it from a secret; this is a requirement for creating
+  // fips-compliant P-* curve keys
+  const unwrappedKak = cipherVersion === 'fips' ?
+    await _generateKak() : undefined;
 
   // create encrypted secret from key derivation key
-  const {kek, secret} = await _createSecret(
-    {kdk, password, version, cipherVersion});
+  let kek;
+  let slot;
+  try {
+    ({kek, slot} = await _wrapKeys({
+      version, label: DEFAULT_SLOT_LABEL,
+      credential: {type: 'password', passphrase: password},
+      unwrappedKey, unwrappedKak
+    }));
+  } finally {
+    unwrappedKak?.fill(0);
+  }
+  let secret;
+  if(version === '1') {
+    // version 1 secrets have a single password slot stored in the secret
+    const {salt, wrappedKey, wrappedKeyAgreementKey} = slot;
+    secret = {version, salt, wrappedKey};
+    if(wrappedKeyAgreementKey) {
+      secret.wrappedKeyAgreementKey = wrappedKeyAgreementKey;
+    }
+  } else {
+    secret = {version, slots: [slot]};
+  }
 
-  // derive blinded index key (HMAC) and key agreement key
-  const {hmac, keyAgreementKey} = await _deriveKeys({kdk, kek, secret});
+  // derive blinded index key (HMAC) and key agreement key from the wrapped
+  // key derivation key, as when decrypting the secret
+  const kdk = await _importKdk({version, kek, slot, purpose: 'derive'});
+  const {hmac, keyAgreementKey} = await _deriveKeys({version, kdk, kek, slot});
 
   const config = {
     id,
@@ -157,16 +220,223 @@ export async function generate({
   return {hmac, keyAgreementKey, config};
 }
 
+/**
+ * Generates a random recovery code that can be used to unlock a secret once
+ * added to it via `addSlot`. The code is 32 hexadecimal characters in groups
+ * of four; case, whitespace, and dashes are ignored when it is used.
+ *
+ * @returns {Promise<string>} Resolves to the recovery code.
+ */
+export async function generateRecoveryCode() {
+  const data = await getRandomBytes(RECOVERY_CODE_SIZE);
+  const hex = Array.from(data, b => b.toString(16).padStart(2, '0')).join('');
+  data.fill(0);
+  return hex.match(/.{4}/g).join('-');
+}
+
+/**
+ * Generates a device key: a non-extractable AES-KW key that can be used to
+ * unlock a secret once added to it via `addSlot`. A device key is meant to
+ * be stored on the device only (e.g., in IndexedDB, which keeps it
+ * non-extractable) so that the secret can be unlocked on that device without
+ * a password; removing the device key revokes this.
+ *
+ * @returns {Promise<object>} Resolves to `{id, key}` with the ID of the
+ *   device key and its `CryptoKey`.
+ */
+export async function generateDeviceKey() {
+  const {key} = await Kek.generate({extractable: false});
+  return {id: `urn:uuid:${uuid()}`, key};
+}
+
+/**
+ * Checks whether a secret configuration has an older version than the
+ * latest version that derives the same keys; such a secret can be upgraded
+ * via `rewrap`.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.config - The secret configuration.
+ *
+ * @returns {boolean} `true` if the secret can be upgraded, `false` if not.
+ */
+export function needsUpgrade({config} = {}) {
+  assert.secretConfig(config);
+  const {version} = config.secret;
+  return _getUpgradeVersion({version}) !== version;
+}
+
+/**
+ * Re-encrypts a secret configuration under a new password. The key
+ * derivation key (and the key agreement key of the "fips" cipher version) is
+ * unwrapped from the key slot that the old password unlocks and that slot is
+ * replaced by one wrapped using a key derived from the new password and a
+ * new salt, so the derived HMAC and key agreement keys do not change. The
+ * new secret always has the latest version that derives the same keys, so
+ * passing the same password for both upgrades a secret. The returned
+ * configuration has the next sequence number so it can be passed to
+ * `update`.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.config - The secret configuration.
+ * @param {string} options.oldPassword - The password the secret is
+ *   currently encrypted with.
+ * @param {string} options.newPassword - The password to encrypt the secret
+ *   with.
+ *
+ * @returns {Promise<object>} Resolves to the new secret configuration on
+ *   success and `null` if the old password was invalid.
+ */
+export async function rewrap({config, oldPassword, newPassword} = {}) {
+  assert.secretConfig(config);
+  assert.string(oldPassword, 'oldPassword');
+  assert.string(newPassword, 'newPassword');
+
+  return _updateSlots({
+    config,
+    credential: {type: 'password', passphrase: oldPassword},
+    async update({slots, slot, wrap}) {
+      const newSlot = await wrap({
+        label: slot.label,
+        credential: {type: 'password', passphrase: newPassword}
+      });
+      return slots.map(s => s === slot ? newSlot : s);
+    }
+  });
+}
+
+/**
+ * Adds a key slot to a secret configuration so that the secret can also be
+ * unlocked using another password, a recovery code, or a device key. An
+ * existing password, recovery code, or device key must be given to unwrap
+ * the key derivation key (and the key agreement key of the "fips" cipher
+ * version) for the new slot. The new secret always has the latest version
+ * that derives the same keys and the returned configuration has the next
+ * sequence number so it can be passed to `update`.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.config - The secret configuration.
+ * @param {string} [options.password] - A password that unlocks the secret.
+ * @param {string} [options.recoveryCode] - A recovery code that unlocks the
+ *   secret.
+ * @param {object} [options.deviceKey] - A device key that unlocks the
+ *   secret.
+ * @param {string} options.label - The label of the new slot, unique within
+ *   the secret.
+ * @param {string} [options.newPassword] - The password to unlock the new
+ *   slot.
+ * @param {string} [options.newRecoveryCode] - The recovery code to unlock
+ *   the new slot, e.g., from `generateRecoveryCode`.
+ * @param {object} [options.newDeviceKey] - The device key to unlock the new
+ *   slot, e.g., from `generateDeviceKey`.
+ * @param {object} [options.kdf] - The Argon2id cost parameters for a new
+ *   password or recovery code slot, `{memory, iterations, parallelism}`;
+ *   defaults to those of the latest version.
+ *
+ * @returns {Promise<object>} Resolves to the new secret configuration on
+ *   success and `null` if the password, recovery code, or device key was
+ *   invalid.
+ */
+export async function addSlot({
+  config, password, recoveryCode, deviceKey, label,
+  newPassword, newRecoveryCode, newDeviceKey, kdf
+} = {}) {
+  assert.secretConfig(config);
+  const credential = _getCredential({password, recoveryCode, deviceKey});
+  assert.string(label, 'label');
+  const newCredential = _getCredential({
+    password: newPassword, recoveryCode: newRecoveryCode,
+    deviceKey: newDeviceKey,
+    names: ['newPassword', 'newRecoveryCode', 'newDeviceKey']
+  });
+  if(kdf !== undefined) {
+    assert.object(kdf, 'kdf');
+  }
+  if(_getSlots({secret: config.secret}).some(s => s.label === label)) {
+    const error = new Error('Duplicate key slot label.');
+    error.name = 'DuplicateError';
+    throw error;
+  }
+
+  return _updateSlots({
+    config,
+    credential,
+    async update({slots, wrap}) {
+      return [...slots, await wrap({label, credential: newCredential, kdf})];
+    }
+  });
+}
+
+/**
+ * Removes a key slot from a secret configuration; the password, recovery
+ * code, or device key of the slot will no longer unlock the secret. The
+ * last slot of a secret cannot be removed. The returned configuration has
+ * the next sequence number so it can be passed to `update`.
+ *
+ * @param {object} options - The options to use.
+ * @param {object} options.config - The secret configuration.
+ * @param {string} options.label - The label of the slot to remove.
+ *
+ * @returns {Promise<object>} Resolves to the new secret configuration.
+ */
+export async function removeSlot({config, label} = {}) {
+  assert.secretConfig(config);
+  assert.string(label, 'label');
+
+  const slots = _getSlots({secret: config.secret});
+  if(!slots.some(s => s.label === label)) {
+    const error = new Error('Key slot not found.');
+    error.name = 'NotFoundError';
+    throw error;
+  }
+  if(slots.length === 1) {
+    const error = new Error('The last key slot of a secret cannot be removed.');
+    error.name = 'NotAllowedError';
+    throw error;
+  }
+  return {
+    ...config,
+    secret: {...config.secret, slots: slots.filter(s => s.label !== label)},
+    sequence: config.sequence + 1
+  };
+}
+
+/**
+ * Changes the password of a locally stored secret. The keys derived from the
+ * secret, and therefore any data encrypted using them, do not change.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the secret.
+ * @param {string} options.oldPassword - The current password.
+ * @param {string} options.newPassword - The new password.
+ * @param {AbortSignal} [options.signal] - A signal to abort retrying the
+ *   write when conflicts arise.
+ *
+ * @returns {Promise<object>} Resolves to the database record.
+ */
+export async function changePassword({
+  id, oldPassword, newPassword, signal
+} = {}) {
+  const {secrets} = getDefaultStore();
+  const {config} = await secrets.get({id});
+  const newConfig = await rewrap({config, oldPassword, newPassword});
+  if(!newConfig) {
+    throw new Error('Invalid password.');
+  }
+  return secrets.update({config: newConfig, signal});
+}
+
 /**
  * Establishes a new secret by inserting its config into storage.
  *
  * @param {object} options - The options to use.
  * @param {object} options.config - The secret configuration.
+ * @param {AbortSignal} [options.signal] - A signal to abort retrying the
+ *   write when conflicts arise.
  *
  * @returns {Promise<object>} Resolves to the database record.
  */
-export async function insert({config} = {}) {
-  return _storage.insert({config});
+export async function insert({config, signal} = {}) {
+  return getDefaultStore().secrets.insert({config, signal});
 }
 
 /**
@@ -174,11 +444,13 @@ export async function insert({config} = {}) {
  *
  * @param {object} options - The options to use.
  * @param {object} options.config - The secret configuration.
+ * @param {AbortSignal} [options.signal] - A signal to abort retrying the
+ *   write when conflicts arise.
  *
  * @returns {Promise<object>} Resolves to the database record.
  */
-export async function update({config} = {}) {
-  return _storage.update({config});
+export async function update({config, signal} = {}) {
+  return getDefaultStore().secrets.update({config, signal});
 }
 
 /**
@@ -190,87 +462,318 @@ export async function update({config} = {}) {
  * @returns {Promise<object>} Resolves to the database record.
  */
 export async function get({id} = {}) {
-  return _storage.get({id});
+  return getDefaultStore().secrets.get({id});
+}
+
+/**
+ * Removes a secret configuration.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.id - The ID of the secret.
+ *
+ * @returns {Promise<boolean>} `true` if the secret was removed, `false`
+ *   if it was not found.
+ */
+export async function remove({id} = {}) {
+  return getDefaultStore().secrets.remove({id});
 }
 
-async function _createSecret({kdk, password, version, cipherVersion} = {}) {
-  // use password and version parameters to derive key encryption
-  const {kek, algorithm} = await _deriveKek({password, version});
+// gets the key slots of a secret; a version 1 secret has a single password
+// slot whose parameters are stored in the secret itself
+function _getSlots({secret} = {}) {
+  if(secret.version === '1') {
+    const {salt, wrappedKey, wrappedKeyAgreementKey} = secret;
+    return [{
+      label: DEFAULT_SLOT_LABEL, type: 'password',
+      salt, wrappedKey, wrappedKeyAgreementKey
+    }];
+  }
+  return secret.slots;
+}
 
-  // wrap key derivation key for storage and reuse later
-  const wrappedKey = await kek.wrapKey({unwrappedKey: kdk.key});
+// gets the type of key slot and the credential that unlocks it from a
+// password, recovery code, or device key; exactly one must be given
+function _getCredential({
+  password, recoveryCode, deviceKey,
+  names: [passwordName, recoveryCodeName, deviceKeyName] = [
+    'password', 'recoveryCode', 'deviceKey'
+  ]
+} = {}) {
+  const given = [password, recoveryCode, deviceKey].filter(
+    x => x !== undefined);
+  if(given.length > 1) {
+    throw new TypeError(
+      `Only one of "${passwordName}", "${recoveryCodeName}", or ` +
+      `"${deviceKeyName}" may be given.`);
+  }
+  if(deviceKey !== undefined) {
+    assert.object(deviceKey, deviceKeyName);
+    assert.string(deviceKey.id, `${deviceKeyName}.id`);
+    assert.object(deviceKey.key, `${deviceKeyName}.key`);
+    return {type: 'deviceKey', deviceKey};
+  }
+  if(recoveryCode !== undefined) {
+    assert.string(recoveryCode, recoveryCodeName);
+    // ignore case, whitespace, and the dashes between groups
+    return {
+      type: 'recoveryCode',
+      passphrase: recoveryCode.toLowerCase().replace(/[\s-]/g, '')
+    };
+  }
+  assert.string(password, passwordName);
+  return {type: 'password', passphrase: password};
+}
 
-  const secret = {
-    version,
-    salt: multihashEncode({data: algorithm.salt}),
-    wrappedKey: multihashEncode({data: wrappedKey})
-  };
-  // if `fips` cipher version is used, generate random key agreement key
-  // instead of deriving it from a secret; this is a requirement for creating
-  // fips-compliant P-* curve keys
-  if(cipherVersion === 'fips') {
-    const kak = await EcdsaMultikey.generate({curve: 'P-256'});
-    // export key for wrapping (secret key + public key)
-    const {secretKey, publicKey} = await kak.export(
-      {publicKey: true, secretKey: true, raw: true});
-    const unwrappedKey = new Uint8Array(UNWRAPPED_KAK_SIZE);
-    unwrappedKey.set(secretKey);
-    unwrappedKey.set(publicKey, secretKey.length);
-    const wrappedKeyAgreementKey = await kek.wrapKey({unwrappedKey});
-    secretKey.fill(0);
-    unwrappedKey.fill(0);
-    secret.wrappedKeyAgreementKey = multihashEncode(
+// unlocks a secret w/a credential, trying each key slot of the matching
+// type; resolves to `{slot, kek, kdk}` or `null` if no slot unlocks, see
+// `_importKdk` for `purpose`
+async function _unlock({version, slots, credential, purpose} = {}) {
+  for(const slot of slots) {
+    if(slot.type !== credential.type || (slot.type === 'deviceKey' &&
+      slot.keyId !== credential.deviceKey.id)) {
+      continue;
+    }
+    const {kek, kdk} = await _unwrapKdk(
+      {version, slot, credential, purpose});
+    if(kdk) {
+      return {slot, kek, kdk};
+    }
+  }
+  return null;
+}
+
+// gets the latest version that derives the same keys as a version
+function _getUpgradeVersion({version} = {}) {
+  const {extractableKeys} = VERSIONS.get(version);
+  return [...VERSIONS.keys()].findLast(
+    v => VERSIONS.get(v).extractableKeys === extractableKeys);
+}
+
+// unlocks a secret w/a credential and returns a copy of its config w/the
+// latest version that derives the same keys and the key slots returned by
+// `update`; `update` is given
+// the current slots, the slot that was unlocked, and `wrap()` to create a
+// new slot that wraps the same keys
+async function _updateSlots({config, credential, update} = {}) {
+  const {secret} = config;
+  const slots = _getSlots({secret});
+  const unlocked = await _unlock(
+    {version: secret.version, slots, credential, purpose: 'wrap'});
+  if(!unlocked) {
+    // invalid password, recovery code, or device key
+    return null;
+  }
+  const {slot, kek, kdk: unwrappedKey} = unlocked;
+  let unwrappedKak;
+  try {
+    unwrappedKak = await _unwrapKak({kek, slot});
+    const version = _getUpgradeVersion({version: secret.version});
+    const wrap = async ({label, credential, kdf}) => {
+      const {slot} = await _wrapKeys({
+        version, label, credential, kdf, unwrappedKey, unwrappedKak
+      });
+      return slot;
+    };
+    let newSlots = await update({slots, slot, wrap});
+    if(secret.version !== version) {
+      // the only slot of an older secret is the unlocked one; it must be
+      // wrapped again if it is kept
+      newSlots = await Promise.all(newSlots.map(
+        s => s !== slot ? s : wrap({label: s.label, credential})));
+    }
+    return {
+      ...config,
+      secret: {version, slots: newSlots},
+      sequence: config.sequence + 1
+    };
+  } finally {
+    // clear secret value from memory
+    unwrappedKak?.fill(0);
+  }
+}
+
+// generates a P-256 key agreement key and exports it for wrapping
+async function _generateKak() {
+  const kak = await EcdsaMultikey.generate({curve: 'P-256'});
+  // export key for wrapping (secret key + public key)
+  const {secretKey, publicKey} = await kak.export(
+    {publicKey: true, secretKey: true, raw: true});
+  const unwrappedKak = new Uint8Array(UNWRAPPED_KAK_SIZE);
+  unwrappedKak.set(secretKey);
+  unwrappedKak.set(publicKey, secretKey.length);
+  secretKey.fill(0);
+  return unwrappedKak;
+}
+
+// creates a key slot by wrapping the key derivation key and any key
+// agreement key w/a device key or a key derived from a passphrase
+async function _wrapKeys({
+  version, label, credential, kdf, unwrappedKey, unwrappedKak
+} = {}) {
+  const {type} = credential;
+  const slot = {label, type};
+  let kek;
+  if(type === 'deviceKey') {
+    kek = new Kek({key: credential.deviceKey.key});
+    slot.keyId = credential.deviceKey.id;
+  } else {
+    // use passphrase and version parameters to derive key encryption
+    let algorithm;
+    ({kek, algorithm} = await _deriveKek(
+      {password: credential.passphrase, version, kdf}));
+    if(algorithm.name === 'Argon2id') {
+      const {name, memory, iterations, parallelism} = algorithm;
+      slot.kdf = {name, memory, iterations, parallelism};
+    }
+    slot.salt = multihashEncode({data: algorithm.salt});
+  }
+
+  // wrap key derivation key for storage and reuse later
+  const wrappedKey = await kek.wrapKey({unwrappedKey});
+  slot.wrappedKey = multihashEncode({data: wrappedKey});
+  if(unwrappedKak) {
+    const wrappedKeyAgreementKey = await kek.wrapKey(
+      {unwrappedKey: unwrappedKak});
+    slot.wrappedKeyAgreementKey = multihashEncode(
       {data: wrappedKeyAgreementKey});
     wrappedKeyAgreementKey.fill(0);
   }
 
-  return {kek, secret};
+  return {kek, slot};
 }
 
-async function _deriveKek({password, salt, version} = {}) {
-  const {iterations, saltSize} = VERSIONS.get(version);
-  const {
-    derivedBits: kekSecret,
-    algorithm
-  } = await deriveBits({
-    bitLength: 256, iterations, password, salt, saltSize
-  });
-  const kek = await Kek.import({secret: kekSecret});
+async function _deriveKek({password, salt, version, kdf} = {}) {
+  const parameters = VERSIONS.get(version);
+  const {saltSize} = parameters;
+  let result;
+  if(parameters.kdf === 'PBKDF2') {
+    const {iterations} = parameters;
+    result = await pbkdf2.deriveBits({
+      bitLength: 256, iterations, password, salt, saltSize
+    });
+  } else {
+    // use the cost parameters of the secret, if any, else the defaults
+    const {memory, iterations, parallelism} = kdf ?? parameters;
+    result = await argon2.deriveBits({
+      bitLength: 256, memory, iterations, parallelism, password, salt,
+      saltSize
+    });
+  }
+  const {derivedBits: kekSecret, algorithm} = result;
+  const kek = await Kek.import(
+    {secret: kekSecret, extractable: parameters.extractableKeys});
   kekSecret.fill(0);
   return {kek, algorithm};
 }
 
-async function _deriveKeys({kdk, kek, secret} = {}) {
+// gets the KEK of a key slot, deriving it from a passphrase unless the slot
+// uses a device key, and unwraps the key derivation key; `kdk` is `null` if
+// the credential is invalid
+async function _unwrapKdk({version, slot, credential, purpose} = {}) {
+  const {salt, kdf} = slot;
+  const {saltSize} = VERSIONS.get(version);
+  let kek;
+  if(slot.type === 'deviceKey') {
+    kek = new Kek({key: credential.deviceKey.key});
+  } else {
+    // use passphrase and version parameters to derive key encryption
+    ({kek} = await _deriveKek({
+      password: credential.passphrase,
+      salt: await multihashDecode({
+        expectedSize: saltSize, encoded: salt
+      }),
+      version,
+      kdf
+    }));
+  }
+
+  const kdk = await _importKdk({version, kek, slot, purpose});
+  return {kek, kdk};
+}
+
+// unwraps the key derivation key of a key slot as a CryptoKey that is never
+// exported, either to derive keys from it (`purpose` is "derive") or to wrap
+// it again in another key slot (`purpose` is "wrap"); resolves to `null` if
+// `kek` is not the KEK of the slot
+async function _importKdk({version, kek, slot, purpose} = {}) {
+  const {wrappedKeySize, extractableKeys} = VERSIONS.get(version);
+  let options;
+  if(purpose === 'wrap') {
+    // only extractable keys can be wrapped
+    options = {
+      algorithm: KDK_HMAC_ALGORITHM, extractable: true, usages: ['sign']
+    };
+  } else if(extractableKeys) {
+    options = {
+      algorithm: KDK_HMAC_ALGORITHM, extractable: false, usages: ['sign']
+    };
+  } else {
+    options = {
+      algorithm: {name: 'HKDF'}, extractable: false,
+      usages: ['deriveBits', 'deriveKey']
+    };
+  }
+  return kek.unwrapCryptoKey({
+    wrappedKey: await multihashDecode({
+      expectedSize: wrappedKeySize, encoded: slot.wrappedKey
+    }),
+    ...options
+  });
+}
+
+// unwraps the key agreement key of a key slot, if any
+async function _unwrapKak({kek, slot} = {}) {
+  if(!slot.wrappedKeyAgreementKey) {
+    return;
+  }
+  const unwrappedKak = await kek.unwrapKey({
+    wrappedKey: await multihashDecode({
+      expectedSize: WRAPPED_KAK_SIZE, encoded: slot.wrappedKeyAgreementKey
+    })
+  });
+  if(!unwrappedKak) {
+    // invalid wrapped key agreement key
+    throw new Error('Invalid stored key agreement key.');
+  }
+  return unwrappedKak;
+}
+
+async function _deriveKeys({version, kdk, kek, slot} = {}) {
+  const {extractableKeys} = VERSIONS.get(version);
   const encoder = new TextEncoder();
 
-  // generate secret and derive HMAC key
-  const hmacSecret = await kdk.sign({data: encoder.encode('hmac')});
-  const hmac = await Hmac.import({secret: hmacSecret});
-  hmacSecret.fill(0);
+  let hmac;
+  if(extractableKeys) {
+    // generate secret and derive HMAC key
+    const hmacSecret = await new Hmac({key: kdk}).sign(
+      {data: encoder.encode('hmac')});
+    hmac = await Hmac.import({secret: hmacSecret});
+    hmacSecret.fill(0);
+  } else {
+    // derive HMAC key within WebCrypto
+    hmac = await Hmac.derive({kdk, info: 'hmac'});
+  }
 
   // unwrap or generate secret and derive key agreement key
   let keyAgreementKey;
   let cipherVersion;
-  if(secret.wrappedKeyAgreementKey) {
+  if(slot.wrappedKeyAgreementKey) {
     cipherVersion = 'fips';
-    // unwrap key derivation key (P-256 )
-    const unwrappedKey = await kek.unwrapKey({
-      wrappedKey: await multihashDecode({
-        expectedSize: WRAPPED_KAK_SIZE, encoded: secret.wrappedKeyAgreementKey
-      })
-    });
-    if(!unwrappedKey) {
-      // invalid wrapped key agreement key
-      throw new Error('Invalid stored key agreement key.');
-    }
+    // unwrap key agreement key (P-256)
+    const unwrappedKey = await _unwrapKak({kek, slot});
     const secretKey = unwrappedKey.subarray(0, 32);
     const publicKey = unwrappedKey.subarray(32, 65);
     keyAgreementKey = await P256Kak.import({secretKey, publicKey});
     unwrappedKey.fill(0);
   } else {
     cipherVersion = 'recommended';
-    // generate secrets for an HMAC and a key agreement key
-    const kakSecret = await kdk.sign({data: encoder.encode('keyAgreementKey')});
+    // generate secret for a key agreement key; X25519 keys are not
+    // supported by WebCrypto everywhere, so the secret is exposed here
+    const kakSecret = extractableKeys ?
+      await new Hmac({key: kdk}).sign(
+        {data: encoder.encode('keyAgreementKey')}) :
+      await hkdf.deriveBits(
+        {key: kdk, info: 'keyAgreementKey', bitLength: 256});
     keyAgreementKey = await X25519Kak.import({secret: kakSecret});
     kakSecret.fill(0);
   }
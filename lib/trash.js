@@ -0,0 +1,120 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {getDefaultStore} from './EdvStore.js';
+
+/**
+ * Initializes the trash database if it has not already been initialized.
+ * Once initialized, documents are swept from the trash in the background when
+ * their retention period passes.
+ *
+ * @param {object} [options] - The options to use.
+ * @param {string} [options.adapter='indexeddb'] - The PouchDB adapter to use.
+ * @param {object} [options.retry] - The settings for retrying writes that
+ *   conflict: `{maxRetries, minDelay, maxDelay}`, with delays in milliseconds.
+ * @param {Function} [options.onProgress] - A function that is called with
+ *   `{collection, migration, completed, total}` to report the progress of
+ *   any schema migrations.
+ *
+ * @returns {Promise} Settles once the operation completes.
+ */
+export async function initialize({adapter, retry, onProgress} = {}) {
+  return getDefaultStore().trash.initialize({adapter, retry, onProgress});
+}
+
+/**
+ * Enables the trash for an EDV: when one of its documents is deleted, the
+ * version of the document that was deleted is moved to the trash, where it is
+ * kept for `retention` milliseconds.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.edvId - The ID of the EDV.
+ * @param {number} [options.retention=2592000000] - The number of milliseconds
+ *   to keep deleted documents for (defaults to 30 days).
+ *
+ * @returns {Promise<object>} Resolves to the database record with the trash
+ *   settings.
+ */
+export async function enable({edvId, retention} = {}) {
+  return getDefaultStore().trash.enable({edvId, retention});
+}
+
+/**
+ * Disables the trash for an EDV and empties it.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.edvId - The ID of the EDV.
+ *
+ * @returns {Promise<object>} Resolves to `{removed}` with the number of
+ *   documents that were removed from the trash.
+ */
+export async function disable({edvId} = {}) {
+  return getDefaultStore().trash.disable({edvId});
+}
+
+/**
+ * Gets the trash settings of an EDV.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.edvId - The ID of the EDV.
+ *
+ * @returns {Promise<object|null>} Resolves to the database record with the
+ *   trash settings, `{retention}`, or `null` if the trash is not enabled for
+ *   the EDV.
+ */
+export async function getSettings({edvId} = {}) {
+  return getDefaultStore().trash.getSettings({edvId});
+}
+
+/**
+ * Lists the documents in the trash of an EDV.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.edvId - The ID of the EDV.
+ *
+ * @returns {Promise<object>} Resolves to `{records}` with the database
+ *   records of the documents in the trash.
+ */
+export async function list({edvId} = {}) {
+  return getDefaultStore().trash.list({edvId});
+}
+
+/**
+ * Gets a document from the trash of an EDV.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.edvId - The ID of the EDV.
+ * @param {string} options.docId - The ID of the document.
+ *
+ * @returns {Promise<object>} Resolves to the database record.
+ */
+export async function get({edvId, docId} = {}) {
+  return getDefaultStore().trash.get({edvId, docId});
+}
+
+/**
+ * Removes a document from the trash of an EDV.
+ *
+ * @param {object} options - The options to use.
+ * @param {string} options.edvId - The ID of the EDV.
+ * @param {string} options.docId - The ID of the document.
+ *
+ * @returns {Promise<boolean>} `true` if the document was removed, `false` if
+ *   it was not found.
+ */
+export async function remove({edvId, docId} = {}) {
+  return getDefaultStore().trash.remove({edvId, docId});
+}
+
+/**
+ * Removes every document whose retention period has passed from the trash of
+ * every EDV. This is done automatically in the background once the trash
+ * database has been initialized.
+ *
+ * @returns {Promise<object>} Resolves to `{removed, next}` with the number of
+ *   documents that were removed and the time, in milliseconds since the
+ *   epoch, at which the next document expires, if any.
+ */
+export async function sweep() {
+  return getDefaultStore().trash.sweep();
+}
@@ -1,7 +1,9 @@
 /*!
  * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
  */
-import {docs, edvs, generateLocalId, initialize} from '@bedrock/web-pouch-edv';
+import {
+  chunks, docs, edvs, EdvStore, generateLocalId, initialize, trash
+} from '@bedrock/web-pouch-edv';
 import {mock} from './mock.js';
 
 describe('docs API', function() {
@@ -119,6 +121,31 @@ describe('docs API', function() {
       error.message.should.equal(
         'Could not insert document; uniqueness constraint violation.');
     });
+    it('should fail when aborted', async () => {
+      const doc = {
+        ...mock.doc,
+        id: await generateLocalId()
+      };
+      const controller = new AbortController();
+      controller.abort();
+      let error;
+      try {
+        await docs.insert({edvId, doc, signal: controller.signal});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('AbortError');
+      // nothing should have been inserted
+      let getError;
+      try {
+        await docs.get({edvId, id: doc.id});
+      } catch(e) {
+        getError = e;
+      }
+      should.exist(getError);
+      getError.name.should.equal('NotFoundError');
+    });
     it('should pass with non-conflicting attribute', async () => {
       const doc = {
         ...mock.docWithUniqueAttributes,
@@ -269,6 +296,430 @@ describe('docs API', function() {
       error.message.should.equal(
         'Could not update document; uniqueness constraint violation.');
     });
+    it('should fail concurrent upserts w/duplicate unique attribute',
+      async () => {
+        // upsert several different docs with the same unique attribute at
+        // the same time; only one may succeed
+        const results = await Promise.allSettled([0, 1, 2, 3, 4].map(
+          async () => docs.upsert({edvId, doc: {
+            ...mock.docWithUniqueAttributes,
+            id: await generateLocalId()
+          }})));
+        const fulfilled = results.filter(r => r.status === 'fulfilled');
+        fulfilled.length.should.equal(1);
+        const rejected = results.filter(r => r.status === 'rejected');
+        for(const {reason} of rejected) {
+          reason.name.should.equal('ConstraintError');
+        }
+      });
+    it('should release unique attribute on change', async () => {
+      const doc = {
+        ...mock.docWithUniqueAttributes,
+        id: await generateLocalId()
+      };
+      await docs.upsert({edvId, doc});
+
+      // change unique attribute of `doc`
+      await docs.upsert({edvId, doc: {
+        ...mock.docWithUniqueAttributes2,
+        id: doc.id,
+        sequence: 1
+      }});
+
+      // different doc may now use the released unique attribute
+      const doc2 = {
+        ...mock.docWithUniqueAttributes,
+        id: await generateLocalId()
+      };
+      const inserted = await docs.upsert({edvId, doc: doc2});
+      const record = await docs.get({edvId, id: doc2.id});
+      record.should.eql(inserted);
+    });
+    it('should release unique attribute on delete', async () => {
+      const doc = {
+        ...mock.docWithUniqueAttributes,
+        id: await generateLocalId()
+      };
+      await docs.upsert({edvId, doc});
+
+      // delete `doc`
+      await docs.upsert({
+        edvId, doc: {...doc, sequence: 1}, deleted: true
+      });
+
+      // different doc may now use the released unique attribute
+      const doc2 = {
+        ...mock.docWithUniqueAttributes,
+        id: await generateLocalId()
+      };
+      const inserted = await docs.upsert({edvId, doc: doc2});
+      const record = await docs.get({edvId, id: doc2.id});
+      record.should.eql(inserted);
+    });
+    it('should remove chunks on delete', async () => {
+      const doc = {...mock.doc, id: await generateLocalId()};
+      await docs.upsert({edvId, doc});
+      for(const index of [0, 1]) {
+        await chunks.upsert(
+          {edvId, docId: doc.id, chunk: {...mock.chunk, index}});
+      }
+
+      await docs.upsert({edvId, doc: {...doc, sequence: 1}, deleted: true});
+
+      let error;
+      try {
+        await chunks.get({edvId, docId: doc.id, index: 0});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('NotFoundError');
+      const {removed} = await chunks.removeAll({edvId, docId: doc.id});
+      removed.should.equal(0);
+    });
+    it('should keep chunks on delete if moved to the trash', async () => {
+      await trash.enable({edvId});
+      const doc = {...mock.doc, id: await generateLocalId()};
+      await docs.upsert({edvId, doc});
+      const record = await chunks.upsert(
+        {edvId, docId: doc.id, chunk: {...mock.chunk}});
+
+      await docs.upsert({edvId, doc: {...doc, sequence: 1}, deleted: true});
+
+      const result = await chunks.get({edvId, docId: doc.id, index: 0});
+      result.should.eql(record);
+    });
+  });
+
+  describe('bulkInsert', () => {
+    it('should fail "docs" assertion', async () => {
+      let error;
+      try {
+        await docs.bulkInsert({edvId, docs: {}});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('TypeError');
+      error.message.should.equal('"docs" must be an array.');
+    });
+    it('should insert documents', async () => {
+      const batch = [];
+      for(let i = 0; i < 3; ++i) {
+        batch.push({...mock.doc, id: await generateLocalId()});
+      }
+      const {results} = await docs.bulkInsert({edvId, docs: batch});
+      results.length.should.equal(3);
+      for(const [i, {record, error}] of results.entries()) {
+        should.not.exist(error);
+        record.should.have.keys(['_id', '_rev', 'doc', 'localEdvId']);
+        record.doc.id.should.equal(batch[i].id);
+        const result = await docs.get({edvId, id: batch[i].id});
+        result._rev.should.equal(record._rev);
+      }
+    });
+    it('should report failures per document', async () => {
+      const existing = {...mock.doc, id: await generateLocalId()};
+      await docs.insert({edvId, doc: existing});
+      const unique = {
+        ...mock.docWithUniqueAttributes,
+        id: await generateLocalId()
+      };
+      const batch = [
+        unique,
+        // duplicate unique attribute within the batch
+        {...mock.docWithUniqueAttributes, id: await generateLocalId()},
+        // duplicate ID of an existing document
+        existing,
+        {...mock.doc, id: 'invalid'},
+        {...mock.doc, id: await generateLocalId()}
+      ];
+      const {results} = await docs.bulkInsert({edvId, docs: batch});
+      results.length.should.equal(5);
+      should.exist(results[0].record);
+      results[1].error.name.should.equal('ConstraintError');
+      results[1].error.existing._id.should.equal(results[0].record._id);
+      results[2].error.name.should.equal('ConstraintError');
+      results[3].error.name.should.equal('ConstraintError');
+      results[3].error.message.should.contain('must be base58-encoded');
+      should.exist(results[4].record);
+
+      // unique attribute must be reserved for the inserted document
+      let error;
+      try {
+        await docs.insert({
+          edvId,
+          doc: {...mock.docWithUniqueAttributes, id: await generateLocalId()}
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('ConstraintError');
+    });
+  });
+
+  describe('bulkUpsert', () => {
+    it('should insert and update documents', async () => {
+      const record = await docs.insert(
+        {edvId, doc: {...mock.doc, id: await generateLocalId()}});
+      const newDoc = {...record.doc, sequence: record.doc.sequence + 1};
+      const batch = [newDoc, {...mock.doc, id: await generateLocalId()}];
+      const {results} = await docs.bulkUpsert({edvId, docs: batch});
+      results.length.should.equal(2);
+      for(const [i, {record, error}] of results.entries()) {
+        should.not.exist(error);
+        record.doc.should.eql(batch[i]);
+      }
+      const result = await docs.get({edvId, id: newDoc.id});
+      result.doc.sequence.should.equal(1);
+    });
+    it('should report failures per document', async () => {
+      const record = await docs.insert(
+        {edvId, doc: {...mock.doc, id: await generateLocalId()}});
+      const unique = await docs.insert({
+        edvId,
+        doc: {...mock.docWithUniqueAttributes, id: await generateLocalId()}
+      });
+      const batch = [
+        // sequence not updated
+        record.doc,
+        // duplicate unique attribute of an existing document
+        {...mock.docWithUniqueAttributes, id: await generateLocalId()},
+        {...unique.doc, sequence: unique.doc.sequence + 1}
+      ];
+      const {results} = await docs.bulkUpsert({edvId, docs: batch});
+      results.length.should.equal(3);
+      results[0].error.name.should.equal('InvalidStateError');
+      results[0].error.message.should.equal(
+        'Could not update document. Sequence does not match.');
+      results[1].error.name.should.equal('ConstraintError');
+      results[1].error.existing._id.should.equal(unique._id);
+      should.exist(results[2].record);
+    });
+    it('should write documents w/o unique attributes', async () => {
+      const unique = await docs.insert({
+        edvId,
+        doc: {...mock.docWithUniqueAttributes, id: await generateLocalId()}
+      });
+      for(const write of ['bulkInsert', 'bulkUpsert']) {
+        const batch = [
+          {...mock.doc, id: await generateLocalId()},
+          // duplicate unique attribute of an existing document
+          {...mock.docWithUniqueAttributes, id: await generateLocalId()},
+          {...mock.docWithAttributes, id: await generateLocalId()}
+        ];
+        const {results} = await docs[write]({edvId, docs: batch});
+        results.length.should.equal(3);
+        should.exist(results[0].record);
+        results[1].error.name.should.equal('ConstraintError');
+        results[1].error.existing._id.should.equal(unique._id);
+        should.exist(results[2].record);
+      }
+    });
+  });
+
+  describe('createQuery', () => {
+    it('should fail "edvQuery" assertion', async () => {
+      let error;
+      try {
+        docs.createQuery({edvId, edvQuery: {index: 'urn:hmac'}});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('TypeError');
+      error.message.should.equal(
+        '"edvQuery" must contain at least one of "equals", "has", "not", ' +
+        'or "or".');
+    });
+    it('should fail nested "edvQuery.not" assertion', async () => {
+      let error;
+      try {
+        docs.createQuery({
+          edvId,
+          edvQuery: {index: 'urn:hmac', has: ['a'], not: {has: [false]}}
+        });
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('TypeError');
+      error.message.should.equal('"edvQuery.not.has[0]" must be a string.');
+    });
+  });
+
+  describe('list', () => {
+    it('should list documents in order of ID', async () => {
+      const ids = [];
+      for(let i = 0; i < 3; ++i) {
+        const doc = {...mock.doc, id: await generateLocalId()};
+        await docs.insert({edvId, doc});
+        ids.push(doc.id);
+      }
+      ids.sort();
+
+      const {records} = await docs.list({edvId});
+      records.map(({doc}) => doc.id).should.eql(ids);
+
+      const {records: page} = await docs.list(
+        {edvId, limit: 1, cursor: ids[0]});
+      page.map(({doc}) => doc.id).should.eql([ids[1]]);
+    });
+    it('should list deleted documents', async () => {
+      const doc1 = {...mock.doc, id: await generateLocalId()};
+      const doc2 = {...mock.doc, id: await generateLocalId()};
+      await docs.insert({edvId, doc: doc1});
+      await docs.insert({edvId, doc: doc2});
+      await docs.upsert(
+        {edvId, doc: {...doc2, sequence: 1}, deleted: true});
+
+      const {records} = await docs.list({edvId});
+      records.map(({doc}) => doc.id).should.eql([doc1.id]);
+
+      const {records: all} = await docs.list({edvId, includeDeleted: true});
+      all.map(({doc}) => doc.id).should.have.members([doc1.id, doc2.id]);
+      const deleted = all.find(({doc}) => doc.id === doc2.id);
+      deleted._deleted.should.equal(true);
+    });
+    it('should list deleted documents again inserted once', async () => {
+      const doc = {...mock.doc, id: await generateLocalId()};
+      await docs.insert({edvId, doc});
+      await docs.upsert({edvId, doc: {...doc, sequence: 1}, deleted: true});
+      await docs.insert({edvId, doc});
+
+      const {records} = await docs.list({edvId, includeDeleted: true});
+      records.map(({doc, _deleted}) => ({id: doc.id, _deleted}))
+        .should.eql([{id: doc.id, _deleted: undefined}]);
+    });
+    describe('w/other EDVs', () => {
+      let store;
+      beforeEach(async () => {
+        store = new EdvStore({prefix: 'test_list_'});
+        await store.initialize();
+      });
+      afterEach(async () => {
+        await store.destroy();
+      });
+
+      it('should only read the records of a page', async () => {
+        // another EDV with many changes
+        const otherEdvId = await generateLocalId();
+        for(let i = 0; i < 30; ++i) {
+          const doc = {...mock.doc, id: await generateLocalId()};
+          await store.docs.insert({edvId: otherEdvId, doc});
+          await store.docs.upsert({
+            edvId: otherEdvId, doc: {...doc, sequence: 1}, deleted: true
+          });
+        }
+
+        const ids = [];
+        for(let i = 0; i < 4; ++i) {
+          const doc = {...mock.doc, id: await generateLocalId()};
+          await store.docs.insert({edvId, doc});
+          if(i % 2 === 0) {
+            await store.docs.upsert(
+              {edvId, doc: {...doc, sequence: 1}, deleted: true});
+          }
+          ids.push(doc.id);
+        }
+        ids.sort();
+
+        // count the records read
+        let read = 0;
+        for(const client of [store.docs.client, store.docs.tombstones]) {
+          const {allDocs} = client;
+          client.allDocs = async function(options) {
+            const result = await allDocs.call(this, options);
+            read += result.rows.length;
+            return result;
+          };
+          client.changes = () => {
+            throw new Error('The changes feed must not be read.');
+          };
+        }
+
+        const {records} = await store.docs.list(
+          {edvId, limit: 2, includeDeleted: true});
+        records.map(({doc}) => doc.id).should.eql(ids.slice(0, 2));
+        read.should.be.at.most(4);
+      });
+      it('should list documents deleted w/o tombstones', async () => {
+        const doc1 = {...mock.doc, id: await generateLocalId()};
+        const doc2 = {...mock.doc, id: await generateLocalId()};
+        await store.docs.insert({edvId, doc: doc1});
+        await store.docs.insert({edvId, doc: doc2});
+        await store.docs.upsert(
+          {edvId, doc: {...doc1, sequence: 1}, deleted: true});
+        // removes `doc2` and the tombstone of `doc1`, as if it was deleted
+        // before tombstones were kept
+        await store.docs.removeAll({edvId});
+
+        // migrate again
+        const {client} = store.docs;
+        const version = await client.get('_local/schema-version');
+        await client.put({...version, version: 1});
+        await store.close();
+        await store.initialize();
+
+        // documents removed via `removeAll` are not listed
+        const {records} = await store.docs.list({edvId, includeDeleted: true});
+        records.map(({doc, _deleted}) => ({id: doc.id, _deleted}))
+          .should.eql([{id: doc1.id, _deleted: true}]);
+      });
+    });
+  });
+
+  describe('count', () => {
+    it('should count documents by attribute and value', async () => {
+      // insert 3 docs, 2 of which match
+      for(const value of ['match', 'match', 'different']) {
+        // must deep copy to change attributes
+        const doc = JSON.parse(JSON.stringify(mock.docWithAttributes));
+        doc.id = await generateLocalId();
+        doc.indexed[0].attributes[0].value = value;
+        await docs.insert({edvId, doc});
+      }
+
+      const entry = mock.docWithAttributes.indexed[0];
+      const [attribute] = entry.attributes;
+      const query = docs.createQuery({
+        edvId,
+        edvQuery: {
+          index: entry.hmac.id,
+          equals: [{[attribute.name]: 'match'}]
+        }
+      });
+      const result = await docs.count({edvId, query});
+      result.should.eql({count: 2});
+    });
+    it('should count no documents', async () => {
+      const entry = mock.docWithAttributes.indexed[0];
+      const [attribute] = entry.attributes;
+      const query = docs.createQuery({
+        edvId,
+        edvQuery: {
+          index: entry.hmac.id,
+          has: [attribute.name]
+        }
+      });
+      const result = await docs.count({edvId, query});
+      result.should.eql({count: 0});
+    });
+    it('should count every document in the EDV', async () => {
+      const ids = [];
+      for(let i = 0; i < 3; ++i) {
+        const doc = {...mock.doc, id: await generateLocalId()};
+        await docs.insert({edvId, doc});
+        ids.push(doc.id);
+      }
+      await docs.upsert({
+        edvId, doc: {...mock.doc, id: ids[0], sequence: 1}, deleted: true
+      });
+
+      const result = await docs.count({edvId});
+      result.should.eql({count: 2});
+    });
   });
 
   describe('get', () => {
@@ -353,6 +804,41 @@ describe('docs API', function() {
     });
   });
 
+  describe('getMany', () => {
+    it('should fail "ids" assertion', async () => {
+      let error;
+      try {
+        await docs.getMany({edvId, ids: ['invalid']});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('ConstraintError');
+      error.message.should.contain('must be base58-encoded');
+    });
+    it('should get documents and report missing ones', async () => {
+      const doc1 = {...mock.doc, id: await generateLocalId()};
+      const doc2 = {...mock.doc, id: await generateLocalId()};
+      const doc3 = {...mock.doc, id: await generateLocalId()};
+      const inserted1 = await docs.insert({edvId, doc: doc1});
+      const inserted2 = await docs.insert({edvId, doc: doc2});
+      // delete `doc3`
+      await docs.insert({edvId, doc: doc3});
+      await docs.upsert(
+        {edvId, doc: {...doc3, sequence: 1}, deleted: true});
+
+      const missingId = await generateLocalId();
+      const {results} = await docs.getMany(
+        {edvId, ids: [doc2.id, missingId, doc1.id, doc3.id]});
+      results.length.should.equal(4);
+      results[0].record.should.eql(inserted2);
+      results[1].error.name.should.equal('NotFoundError');
+      results[1].error.message.should.equal('Document not found.');
+      results[2].record.should.eql(inserted1);
+      results[3].error.name.should.equal('NotFoundError');
+    });
+  });
+
   describe('find', () => {
     it('should get a document by attribute', async () => {
       // first insert doc
@@ -454,6 +940,152 @@ describe('docs API', function() {
         doc1.id, doc2.id
       ]);
     });
+    it('should get more than 25 documents in order of ID', async () => {
+      const ids = [];
+      for(let i = 0; i < 30; ++i) {
+        const doc = {
+          ...mock.docWithAttributes,
+          id: await generateLocalId()
+        };
+        await docs.insert({edvId, doc});
+        ids.push(doc.id);
+      }
+
+      const entry = mock.docWithAttributes.indexed[0];
+      const [attribute] = entry.attributes;
+      const query = docs.createQuery({
+        edvId,
+        edvQuery: {
+          index: entry.hmac.id,
+          has: [attribute.name]
+        }
+      });
+      const result = await docs.find({edvId, query});
+      result.records.map(({doc: {id}}) => id).should.eql(ids.sort());
+    });
+    it('should get documents after cursor', async () => {
+      const ids = [];
+      for(let i = 0; i < 3; ++i) {
+        const doc = {
+          ...mock.docWithAttributes,
+          id: await generateLocalId()
+        };
+        await docs.insert({edvId, doc});
+        ids.push(doc.id);
+      }
+      ids.sort();
+
+      const entry = mock.docWithAttributes.indexed[0];
+      const [attribute] = entry.attributes;
+      const query = docs.createQuery({
+        edvId,
+        edvQuery: {
+          index: entry.hmac.id,
+          has: [attribute.name],
+          cursor: ids[0]
+        }
+      });
+      const result = await docs.find({edvId, query});
+      result.records.map(({doc: {id}}) => id).should.eql(ids.slice(1));
+    });
+    it('should get pages of documents w/several attributes', async () => {
+      // the other attribute of each doc differs, so the order of the docs in
+      // the attributes index differs from the order of their IDs
+      const ids = [];
+      for(let i = 0; i < 15; ++i) {
+        const doc = JSON.parse(JSON.stringify(mock.docWithAttributes));
+        doc.id = await generateLocalId();
+        doc.indexed[0].attributes[0].value = await generateLocalId();
+        doc.indexed[0].attributes[1].value = 'match';
+        await docs.insert({edvId, doc});
+        ids.push(doc.id);
+      }
+      ids.sort();
+
+      const entry = mock.docWithAttributes.indexed[0];
+      const [attribute] = entry.attributes;
+      const edvQuery = {
+        index: entry.hmac.id,
+        equals: [{[attribute.name]: 'match'}]
+      };
+      const {records: all} = await docs.find(
+        {edvId, query: docs.createQuery({edvId, edvQuery})});
+      all.map(({doc: {id}}) => id).should.eql(ids);
+
+      const found = [];
+      let cursor;
+      while(found.length < ids.length) {
+        const query = docs.createQuery(
+          {edvId, edvQuery: {...edvQuery, cursor}});
+        query.options.limit = 4;
+        const {records} = await docs.find({edvId, query});
+        records.length.should.be.above(0);
+        found.push(...records.map(({doc: {id}}) => id));
+        cursor = found.at(-1);
+      }
+      found.should.eql(ids);
+    });
+    it('should only read the records of a page', async () => {
+      const store = new EdvStore({prefix: 'test_find_'});
+      await store.initialize();
+      try {
+        // every other doc has the attribute
+        const ids = [];
+        for(let i = 0; i < 40; ++i) {
+          const doc = JSON.parse(JSON.stringify(mock.docWithAttributes));
+          doc.id = await generateLocalId();
+          if(i % 2 === 1) {
+            doc.indexed[0].attributes.forEach(a => a.name = 'other');
+          } else {
+            ids.push(doc.id);
+          }
+          await store.docs.insert({edvId, doc});
+        }
+        ids.sort();
+
+        // count the records read by scanning the EDV
+        let read = 0;
+        const {client} = store.docs;
+        const {allDocs} = client;
+        client.allDocs = async function(options) {
+          const result = await allDocs.call(this, options);
+          if(!options.keys) {
+            read += result.rows.length;
+          }
+          return result;
+        };
+
+        const entry = mock.docWithAttributes.indexed[0];
+        const [attribute] = entry.attributes;
+        const query = store.docs.createQuery({
+          edvId,
+          edvQuery: {
+            index: entry.hmac.id,
+            has: [attribute.name]
+          }
+        });
+        query.options.limit = 3;
+        const result = await store.docs.find({edvId, query});
+        result.records.map(({doc: {id}}) => id).should.eql(ids.slice(0, 3));
+        read.should.be.below(20);
+
+        // the next page continues after the cursor
+        const next = store.docs.createQuery({
+          edvId,
+          edvQuery: {
+            index: entry.hmac.id,
+            has: [attribute.name],
+            cursor: ids[2]
+          }
+        });
+        next.options.limit = 3;
+        const nextResult = await store.docs.find({edvId, query: next});
+        nextResult.records.map(({doc: {id}}) => id).should.eql(
+          ids.slice(3, 6));
+      } finally {
+        await store.destroy();
+      }
+    });
     it('should get no documents', async () => {
       // insert 3 docs, each with different attribute values, find none
       const doc1 = {
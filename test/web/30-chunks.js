@@ -2,7 +2,7 @@
  * Copyright (c) 2022 Digital Bazaar, Inc. All rights reserved.
  */
 import {
-  chunks, docs, edvs, generateLocalId, initialize
+  chunks, docs, edvs, EdvStore, generateLocalId, initialize
 } from '@bedrock/web-pouch-edv';
 import {mock} from './mock.js';
 
@@ -227,4 +227,112 @@ describe('chunks API', function() {
       record.should.eql(inserted);
     });
   });
+
+  describe('binary storage', () => {
+    let store;
+    before(async () => {
+      store = new EdvStore({prefix: 'test_chunks_'});
+      await store.initialize();
+    });
+    after(async () => {
+      await store.destroy();
+    });
+    beforeEach(async () => {
+      await store.docs.insert({edvId, doc: {...mock.doc, id: docId}});
+    });
+
+    it('should store ciphertext as an attachment', async () => {
+      const chunk = {...mock.chunk};
+      const inserted = await store.chunks.upsert({edvId, docId, chunk});
+      inserted.chunk.should.eql(chunk);
+
+      const raw = await store.chunks.client.get(inserted._id);
+      should.not.exist(raw.chunk.jwe.ciphertext);
+      should.exist(raw._attachments.ciphertext);
+      raw._attachments.ciphertext.content_type.should.equal(
+        'application/octet-stream');
+
+      const record = await store.chunks.get(
+        {edvId, docId, index: chunk.index});
+      record.should.eql(inserted);
+    });
+    it('should read a chunk stored as JSON', async () => {
+      const record = {
+        _id: `${edvId}:${docId}:0`, localEdvId: edvId, docId,
+        chunk: {...mock.chunk}
+      };
+      const {rev} = await store.chunks.client.put(record);
+
+      const result = await store.chunks.get({edvId, docId, index: 0});
+      result.should.eql({...record, _rev: rev});
+    });
+  });
+
+  describe('gc', () => {
+    async function exists({index, id = docId}) {
+      try {
+        await chunks.get({edvId, docId: id, index});
+        return true;
+      } catch(e) {
+        if(e.name === 'NotFoundError') {
+          return false;
+        }
+        throw e;
+      }
+    }
+
+    it('should remove chunks past the stream length', async () => {
+      for(const index of [0, 1]) {
+        await chunks.upsert({edvId, docId, chunk: {...mock.chunk, index}});
+      }
+      await docs.upsert({
+        edvId,
+        doc: {...mock.doc, id: docId, sequence: 1, stream: {
+          sequence: 0, chunks: 1
+        }}
+      });
+
+      const result = await chunks.gc();
+      result.should.have.keys(['removed', 'orphaned', 'stale', 'truncated']);
+      (await exists({index: 0})).should.equal(true);
+      (await exists({index: 1})).should.equal(false);
+    });
+    it('should remove chunks with stale sequences', async () => {
+      await chunks.upsert({edvId, docId, chunk: {...mock.chunk}});
+      await docs.upsert({edvId, doc: {...mock.doc, id: docId, sequence: 1}});
+
+      await chunks.gc();
+      (await exists({index: 0})).should.equal(false);
+    });
+    it('should keep chunks of an upload in progress', async () => {
+      await chunks.upsert({edvId, docId, chunk: {...mock.chunk}});
+
+      await chunks.gc();
+      (await exists({index: 0})).should.equal(true);
+    });
+    it('should only remove chunks of the given document', async () => {
+      const otherDocId = await generateLocalId();
+      await docs.insert({edvId, doc: {...mock.doc, id: otherDocId}});
+      for(const id of [docId, otherDocId]) {
+        await chunks.upsert({edvId, docId: id, chunk: {...mock.chunk}});
+        await docs.upsert({edvId, doc: {...mock.doc, id, sequence: 1}});
+      }
+
+      const result = await chunks.gc({edvId, docId});
+      result.should.eql({removed: 1, orphaned: 0, stale: 1, truncated: 0});
+      (await exists({index: 0})).should.equal(false);
+      (await exists({index: 0, id: otherDocId})).should.equal(true);
+
+      await chunks.gc({edvId});
+      (await exists({index: 0, id: otherDocId})).should.equal(false);
+    });
+    it('should remove chunks of deleted documents', async () => {
+      await chunks.upsert({edvId, docId, chunk: {...mock.chunk}});
+      await docs.upsert(
+        {edvId, doc: {...mock.doc, id: docId, sequence: 1}, deleted: true});
+
+      await chunks.gc();
+      (await exists({index: 0})).should.equal(false);
+    });
+  });
 });
@@ -4,6 +4,9 @@
 import {generateLocalId, initialize, secrets} from '@bedrock/web-pouch-edv';
 
 describe('secrets API', function() {
+  // unlocking secrets derives keys w/Argon2id, which is deliberately slow
+  this.timeout(30000);
+
   before(async () => {
     await initialize();
   });
@@ -18,7 +21,7 @@ describe('secrets API', function() {
       }
       should.exist(error);
       error.name.should.equal('Error');
-      error.message.should.equal('"version" must be "1".');
+      error.message.should.equal('"version" must be "1", "2", or "3".');
     });
     it('should fail with bad "id"', async () => {
       let error;
@@ -53,7 +56,16 @@ describe('secrets API', function() {
       result.config.should.have.keys(
         ['id', 'hmacId', 'keyAgreementKeyId', 'secret', 'sequence']);
       should.exist(result.config.secret);
-      result.config.secret.should.have.keys(['version', 'salt', 'wrappedKey']);
+      result.config.secret.should.have.keys(['version', 'slots']);
+      result.config.secret.version.should.equal('3');
+      result.hmac.key.extractable.should.equal(false);
+      result.config.secret.slots.should.have.length(1);
+      const [slot] = result.config.secret.slots;
+      slot.should.have.keys(['label', 'type', 'kdf', 'salt', 'wrappedKey']);
+      slot.label.should.equal('password');
+      slot.type.should.equal('password');
+      slot.kdf.should.eql(
+        {name: 'Argon2id', memory: 19456, iterations: 2, parallelism: 1});
     });
     it('should pass using "fips" cipher version', async () => {
       const result = await secrets.generate({
@@ -66,8 +78,26 @@ describe('secrets API', function() {
       result.config.should.have.keys(
         ['id', 'hmacId', 'keyAgreementKeyId', 'secret', 'sequence']);
       should.exist(result.config.secret);
-      result.config.secret.should.have.keys(
-        ['version', 'salt', 'wrappedKey', 'wrappedKeyAgreementKey']);
+      result.config.secret.should.have.keys(['version', 'slots']);
+      result.config.secret.slots[0].should.have.keys([
+        'label', 'type', 'kdf', 'salt', 'wrappedKey', 'wrappedKeyAgreementKey'
+      ]);
+    });
+    it('should pass using version "1"', async () => {
+      const result = await secrets.generate({
+        id: await generateLocalId(), version: '1', password: 'pw'
+      });
+      should.exist(result);
+      result.config.secret.should.have.keys(['version', 'salt', 'wrappedKey']);
+      result.config.secret.version.should.equal('1');
+    });
+    it('should pass using version "2"', async () => {
+      const result = await secrets.generate({
+        id: await generateLocalId(), version: '2', password: 'pw'
+      });
+      should.exist(result);
+      result.config.secret.version.should.equal('2');
+      result.hmac.key.extractable.should.equal(true);
     });
   });
 
@@ -168,6 +198,300 @@ describe('secrets API', function() {
       result.should.have.keys(['hmac', 'keyAgreementKey', 'cipherVersion']);
       result.cipherVersion.should.equal('fips');
     });
+    it('should fail "config.secret.slots" assertion', async () => {
+      const password = 'pw';
+      const {config} = await secrets.generate({
+        id: await generateLocalId(), password
+      });
+      delete config.secret.slots[0].kdf;
+      let error;
+      try {
+        await secrets.decrypt({config, password});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('TypeError');
+      error.message.should.equal(
+        '"config.secret.slots[0].kdf" must be an object.');
+    });
+    it('should fail with both password and recovery code', async () => {
+      const {config} = await secrets.generate({
+        id: await generateLocalId(), password: 'pw'
+      });
+      let error;
+      try {
+        await secrets.decrypt({config, password: 'pw', recoveryCode: 'code'});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('TypeError');
+      error.message.should.equal(
+        'Only one of "password", "recoveryCode", or "deviceKey" may be given.');
+    });
+    it('should derive non-extractable keys', async () => {
+      const password = 'pw';
+      const generated = await secrets.generate({
+        id: await generateLocalId(), password
+      });
+      const result = await secrets.decrypt(
+        {config: generated.config, password});
+      result.hmac.key.extractable.should.equal(false);
+      const data = new Uint8Array([1, 2, 3]);
+      (await result.hmac.sign({data})).should.eql(
+        await generated.hmac.sign({data}));
+      (await result.keyAgreementKey.export()).should.eql(
+        await generated.keyAgreementKey.export());
+    });
+    it('should pass using version "1"', async () => {
+      const password = 'pw';
+      const generated = await secrets.generate({
+        id: await generateLocalId(), version: '1', password
+      });
+      const result = await secrets.decrypt(
+        {config: generated.config, password});
+      should.exist(result);
+      result.hmac.id.should.equal(generated.hmac.id);
+      result.keyAgreementKey.id.should.equal(generated.keyAgreementKey.id);
+    });
+  });
+
+  describe('needsUpgrade', () => {
+    it('should only upgrade version "1" secrets', async () => {
+      const upgrades = {};
+      for(const version of ['1', '2', '3']) {
+        const {config} = await secrets.generate({
+          id: await generateLocalId(), version, password: 'pw'
+        });
+        upgrades[version] = secrets.needsUpgrade({config});
+      }
+      upgrades.should.eql({1: true, 2: false, 3: false});
+    });
+  });
+
+  describe('rewrap', () => {
+    it('should upgrade a version "1" secret', async () => {
+      const password = 'pw';
+      const generated = await secrets.generate({
+        id: await generateLocalId(), version: '1', password,
+        cipherVersion: 'fips'
+      });
+      const config = await secrets.rewrap({
+        config: generated.config, oldPassword: password, newPassword: password
+      });
+      config.sequence.should.equal(1);
+      config.secret.version.should.equal('2');
+      config.secret.slots.should.have.length(1);
+      config.secret.slots[0].should.have.keys([
+        'label', 'type', 'kdf', 'salt', 'wrappedKey', 'wrappedKeyAgreementKey'
+      ]);
+      const result = await secrets.decrypt({config, password});
+      should.exist(result);
+      result.hmac.id.should.equal(generated.hmac.id);
+      result.keyAgreementKey.id.should.equal(generated.keyAgreementKey.id);
+    });
+    it('should keep the keys of a version "2" secret', async () => {
+      const generated = await secrets.generate({
+        id: await generateLocalId(), version: '2', password: 'pw'
+      });
+      const config = await secrets.rewrap({
+        config: generated.config, oldPassword: 'pw', newPassword: 'new'
+      });
+      // a secret is never upgraded to a version that derives other keys
+      config.secret.version.should.equal('2');
+      const result = await secrets.decrypt({config, password: 'new'});
+      const data = new Uint8Array([1, 2, 3]);
+      (await result.hmac.sign({data})).should.eql(
+        await generated.hmac.sign({data}));
+      (await result.keyAgreementKey.export()).should.eql(
+        await generated.keyAgreementKey.export());
+    });
+  });
+
+  describe('slots', () => {
+    it('should fail to add a duplicate label', async () => {
+      const {config} = await secrets.generate({
+        id: await generateLocalId(), password: 'pw'
+      });
+      let error;
+      try {
+        await secrets.addSlot(
+          {config, password: 'pw', label: 'password', newPassword: 'other'});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('DuplicateError');
+      error.message.should.equal('Duplicate key slot label.');
+    });
+    it('should fail to add a slot w/an invalid password', async () => {
+      const {config} = await secrets.generate({
+        id: await generateLocalId(), password: 'pw'
+      });
+      const result = await secrets.addSlot({
+        config, password: 'invalid', label: 'other', newPassword: 'other'
+      });
+      should.equal(result, null);
+    });
+    it('should fail to remove the last slot', async () => {
+      const {config} = await secrets.generate({
+        id: await generateLocalId(), password: 'pw'
+      });
+      let error;
+      try {
+        await secrets.removeSlot({config, label: 'password'});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('NotAllowedError');
+      error.message.should.equal(
+        'The last key slot of a secret cannot be removed.');
+    });
+    it('should fail to remove an unknown slot', async () => {
+      const {config} = await secrets.generate({
+        id: await generateLocalId(), password: 'pw'
+      });
+      let error;
+      try {
+        await secrets.removeSlot({config, label: 'unknown'});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('NotFoundError');
+      error.message.should.equal('Key slot not found.');
+    });
+    for(const cipherVersion of ['recommended', 'fips']) {
+      it(`should add and remove a recovery code using "${cipherVersion}" ` +
+        'cipher version', async () => {
+        const generated = await secrets.generate({
+          id: await generateLocalId(), password: 'pw', cipherVersion
+        });
+        const recoveryCode = await secrets.generateRecoveryCode();
+        recoveryCode.should.match(/^([0-9a-f]{4}-){7}[0-9a-f]{4}$/);
+        const config = await secrets.addSlot({
+          config: generated.config, password: 'pw', label: 'recovery',
+          newRecoveryCode: recoveryCode
+        });
+        config.sequence.should.equal(1);
+        config.secret.slots.map(({label, type}) => ({label, type})).should.eql([
+          {label: 'password', type: 'password'},
+          {label: 'recovery', type: 'recoveryCode'}
+        ]);
+
+        // case, whitespace, and dashes are ignored
+        const result = await secrets.decrypt({
+          config,
+          recoveryCode: ` ${recoveryCode.toUpperCase().replace(/-/g, '')} `
+        });
+        should.exist(result);
+        result.cipherVersion.should.equal(cipherVersion);
+        result.hmac.id.should.equal(generated.hmac.id);
+        (await result.keyAgreementKey.export()).should.eql(
+          await generated.keyAgreementKey.export());
+        // a recovery code does not unlock password slots and vice versa
+        should.equal(
+          await secrets.decrypt({config, password: recoveryCode}), null);
+        should.equal(
+          await secrets.decrypt({config, recoveryCode: 'pw'}), null);
+
+        const newConfig = await secrets.removeSlot({config, label: 'password'});
+        newConfig.sequence.should.equal(2);
+        should.equal(
+          await secrets.decrypt({config: newConfig, password: 'pw'}), null);
+        should.exist(await secrets.decrypt({config: newConfig, recoveryCode}));
+      });
+    }
+    it('should add a device key slot', async () => {
+      const generated = await secrets.generate({
+        id: await generateLocalId(), password: 'pw'
+      });
+      const deviceKey = await secrets.generateDeviceKey();
+      deviceKey.key.extractable.should.equal(false);
+      const config = await secrets.addSlot({
+        config: generated.config, password: 'pw', label: 'device',
+        newDeviceKey: deviceKey
+      });
+      const [, slot] = config.secret.slots;
+      slot.should.have.keys(['label', 'type', 'keyId', 'wrappedKey']);
+      slot.type.should.equal('deviceKey');
+      slot.keyId.should.equal(deviceKey.id);
+
+      const result = await secrets.decrypt({config, deviceKey});
+      should.exist(result);
+      (await result.keyAgreementKey.export()).should.eql(
+        await generated.keyAgreementKey.export());
+      // another device key does not unlock the slot
+      const otherKey = await secrets.generateDeviceKey();
+      should.equal(
+        await secrets.decrypt(
+          {config, deviceKey: {id: deviceKey.id, key: otherKey.key}}),
+        null);
+      should.equal(await secrets.decrypt({config, deviceKey: otherKey}), null);
+    });
+    it('should upgrade a version "1" secret when adding a slot', async () => {
+      const {config} = await secrets.generate({
+        id: await generateLocalId(), version: '1', password: 'pw'
+      });
+      const newConfig = await secrets.addSlot({
+        config, password: 'pw', label: 'other', newPassword: 'other'
+      });
+      newConfig.secret.version.should.equal('2');
+      newConfig.secret.slots.map(({label}) => label).should.eql(
+        ['password', 'other']);
+      should.exist(await secrets.decrypt({config: newConfig, password: 'pw'}));
+      should.exist(
+        await secrets.decrypt({config: newConfig, password: 'other'}));
+    });
+  });
+
+  describe('changePassword', () => {
+    it('should fail due to invalid password', async () => {
+      const {config} = await secrets.generate({
+        id: await generateLocalId(), password: 'pw'
+      });
+      await secrets.insert({config});
+
+      let error;
+      try {
+        await secrets.changePassword(
+          {id: config.id, oldPassword: 'invalid', newPassword: 'new'});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('Error');
+      error.message.should.equal('Invalid password.');
+    });
+    for(const cipherVersion of ['recommended', 'fips']) {
+      it(`should pass using "${cipherVersion}" cipher version`, async () => {
+        const {config} = await secrets.generate({
+          id: await generateLocalId(), password: 'pw', cipherVersion
+        });
+        await secrets.insert({config});
+        const before = await secrets.decrypt({config, password: 'pw'});
+
+        const record = await secrets.changePassword(
+          {id: config.id, oldPassword: 'pw', newPassword: 'new'});
+        record.config.sequence.should.equal(1);
+        record.config.secret.slots[0].salt.should.not.equal(
+          config.secret.slots[0].salt);
+
+        should.equal(
+          await secrets.decrypt({config: record.config, password: 'pw'}),
+          null);
+        const after = await secrets.decrypt(
+          {config: record.config, password: 'new'});
+        after.cipherVersion.should.equal(cipherVersion);
+        (await after.keyAgreementKey.export()).should.eql(
+          await before.keyAgreementKey.export());
+        const data = new Uint8Array([1, 2, 3]);
+        (await after.hmac.sign({data})).should.eql(
+          await before.hmac.sign({data}));
+      });
+    }
   });
 
   describe('insert', () => {
@@ -245,7 +569,7 @@ describe('secrets API', function() {
       result.config.should.have.keys(
         ['id', 'hmacId', 'keyAgreementKeyId', 'secret', 'sequence']);
       should.exist(result.config.secret);
-      result.config.secret.should.have.keys(['version', 'salt', 'wrappedKey']);
+      result.config.secret.should.have.keys(['version', 'slots']);
     });
     it('should fail due to duplicate config', async () => {
       const {config} = await secrets.generate({
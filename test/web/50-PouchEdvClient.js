@@ -1,14 +1,17 @@
 /*!
- * Copyright (c) 2022-2023 Digital Bazaar, Inc. All rights reserved.
+ * Copyright (c) 2022-2026 Digital Bazaar, Inc. All rights reserved.
  */
 import {
-  generateLocalId, initialize, PouchEdvClient, secrets
+  chunks, docs, edvs, generateLocalId, initialize, PouchEdvClient, secrets
 } from '@bedrock/web-pouch-edv';
 import {mock} from './mock.js';
 
 const cipherVersions = ['recommended', 'fips'];
 
 describe('PouchEdvClient API', function() {
+  // unlocking secrets derives keys w/Argon2id, which is deliberately slow
+  this.timeout(30000);
+
   before(async () => {
     await initialize();
   });
@@ -203,6 +206,381 @@ describe('PouchEdvClient API', function() {
           should.exist(edvClient);
           edvClient.should.be.an('object');
         });
+        it('should pass using a recovery code', async () => {
+          const password = 'pw';
+          const config = {
+            ...mock.config,
+            id: await generateLocalId()
+          };
+          delete config.hmac;
+          delete config.keyAgreementKey;
+          const {edvClient} = await PouchEdvClient.createEdv(
+            {config, password, cipherVersion});
+          const doc = await edvClient.insert({doc: {content: {foo: 'bar'}}});
+          const recoveryCode = await secrets.generateRecoveryCode();
+          const {config: secretConfig} = await secrets.get({id: config.id});
+          await secrets.update({
+            config: await secrets.addSlot({
+              config: secretConfig, password, label: 'recovery',
+              newRecoveryCode: recoveryCode
+            })
+          });
+
+          let error;
+          try {
+            await PouchEdvClient.fromLocalSecrets(
+              {edvId: config.id, recoveryCode: 'invalid'});
+          } catch(e) {
+            error = e;
+          }
+          should.exist(error);
+          error.message.should.equal('Invalid recovery code.');
+          const newClient = await PouchEdvClient.fromLocalSecrets(
+            {edvId: config.id, recoveryCode});
+          const result = await newClient.get({id: doc.id});
+          result.content.should.eql({foo: 'bar'});
+        });
+        it('should upgrade a version "1" secret', async () => {
+          const password = 'pw';
+          const config = {
+            ...mock.config,
+            id: await generateLocalId()
+          };
+          delete config.hmac;
+          delete config.keyAgreementKey;
+          const {config: secretConfig} = await secrets.generate({
+            id: config.id, version: '1', password, cipherVersion
+          });
+          await secrets.insert({config: secretConfig});
+          const {edvClient} = await PouchEdvClient.createEdv(
+            {config, password, cipherVersion});
+          const doc = await edvClient.insert({doc: {content: {foo: 'bar'}}});
+
+          const newClient = await PouchEdvClient.fromLocalSecrets(
+            {edvId: config.id, password});
+          const {config: upgraded} = await secrets.get({id: config.id});
+          upgraded.sequence.should.equal(1);
+          upgraded.secret.version.should.equal('2');
+          const result = await newClient.get({id: doc.id});
+          result.content.should.eql({foo: 'bar'});
+        });
+      });
+
+      describe('rememberDevice', () => {
+        it('should unlock w/o a password until forgotten', async () => {
+          const config = {
+            ...mock.config,
+            id: await generateLocalId()
+          };
+          delete config.hmac;
+          delete config.keyAgreementKey;
+          const {edvClient} = await PouchEdvClient.createEdv(
+            {config, password: 'pw', cipherVersion});
+          const doc = await edvClient.insert({doc: {content: {foo: 'bar'}}});
+
+          let error;
+          try {
+            await PouchEdvClient.fromLocalSecrets({edvId: config.id});
+          } catch(e) {
+            error = e;
+          }
+          should.exist(error);
+          error.name.should.equal('NotFoundError');
+
+          await edvClient.rememberDevice({password: 'pw'});
+          const newClient = await PouchEdvClient.fromLocalSecrets(
+            {edvId: config.id});
+          const result = await newClient.get({id: doc.id});
+          result.content.should.eql({foo: 'bar'});
+
+          await edvClient.forgetDevice();
+          error = undefined;
+          try {
+            await PouchEdvClient.fromLocalSecrets({edvId: config.id});
+          } catch(e) {
+            error = e;
+          }
+          should.exist(error);
+          error.name.should.equal('NotFoundError');
+          error.message.should.equal(
+            'No device key found; a password or recovery code is required.');
+          const {config: secretConfig} = await secrets.get({id: config.id});
+          secretConfig.secret.slots.map(({label}) => label).should.eql(
+            ['password']);
+        });
+        it('should fail due to invalid password', async () => {
+          const config = {
+            ...mock.config,
+            id: await generateLocalId()
+          };
+          delete config.hmac;
+          delete config.keyAgreementKey;
+          const {edvClient} = await PouchEdvClient.createEdv(
+            {config, password: 'pw', cipherVersion});
+
+          let error;
+          try {
+            await edvClient.rememberDevice({password: 'invalid'});
+          } catch(e) {
+            error = e;
+          }
+          should.exist(error);
+          error.message.should.equal('Invalid password.');
+          const {config: secretConfig} = await secrets.get({id: config.id});
+          secretConfig.secret.slots.should.have.length(1);
+        });
+      });
+
+      describe('changePassword', () => {
+        it('should keep documents readable', async () => {
+          const config = {
+            ...mock.config,
+            id: await generateLocalId()
+          };
+          delete config.hmac;
+          delete config.keyAgreementKey;
+          const {edvClient} = await PouchEdvClient.createEdv(
+            {config, password: 'pw', cipherVersion});
+          const doc = await edvClient.insert({doc: {content: {foo: 'bar'}}});
+
+          await edvClient.changePassword(
+            {oldPassword: 'pw', newPassword: 'new'});
+
+          let error;
+          try {
+            await PouchEdvClient.fromLocalSecrets(
+              {edvId: config.id, password: 'pw'});
+          } catch(e) {
+            error = e;
+          }
+          should.exist(error);
+          error.message.should.equal('Invalid password.');
+          const newClient = await PouchEdvClient.fromLocalSecrets(
+            {edvId: config.id, password: 'new'});
+          const result = await newClient.get({id: doc.id});
+          result.content.should.eql({foo: 'bar'});
+        });
+      });
+
+      describe('getStream', () => {
+        it('should read the stored stream', async () => {
+          const password = 'pw';
+          const config = {
+            ...mock.config,
+            id: await generateLocalId()
+          };
+          delete config.hmac;
+          delete config.keyAgreementKey;
+          const {edvClient} = await PouchEdvClient.createEdv(
+            {config, password, cipherVersion});
+          const data = new Uint8Array(1000).map((x, i) => i % 256);
+          const stream = new ReadableStream({
+            pull(controller) {
+              controller.enqueue(data);
+              controller.close();
+            }
+          });
+          const doc = await edvClient.insert(
+            {doc: {content: {foo: 'bar'}}, stream, chunkSize: 300});
+          doc.stream.chunks.should.equal(4);
+
+          const reader = (await edvClient.getStream({doc})).getReader();
+          const bytes = [];
+          let value;
+          let done;
+          while(!done) {
+            ({value, done} = await reader.read());
+            if(value) {
+              bytes.push(...value);
+            }
+          }
+          bytes.should.eql([...data]);
+        });
+        it('should read byte ranges', async () => {
+          const password = 'pw';
+          const config = {
+            ...mock.config,
+            id: await generateLocalId()
+          };
+          delete config.hmac;
+          delete config.keyAgreementKey;
+          const {edvClient} = await PouchEdvClient.createEdv(
+            {config, password, cipherVersion});
+          const data = new Uint8Array(1000).map((x, i) => i % 256);
+          const stream = new ReadableStream({
+            pull(controller) {
+              controller.enqueue(data);
+              controller.close();
+            }
+          });
+          const doc = await edvClient.insert(
+            {doc: {content: {foo: 'bar'}}, stream, chunkSize: 300});
+
+          async function read({start, end}) {
+            const stream = await edvClient.getStream({doc, start, end});
+            const reader = stream.getReader();
+            const bytes = [];
+            let value;
+            let done;
+            while(!done) {
+              ({value, done} = await reader.read());
+              if(value) {
+                bytes.push(...value);
+              }
+            }
+            return bytes;
+          }
+
+          const ranges = [
+            {start: 0, end: 10},
+            {start: 350, end: 650},
+            {start: 300, end: 600},
+            {start: 599, end: 601},
+            {start: 990},
+            {end: 5},
+            {start: 900, end: 2000},
+            {start: 2000},
+            {start: 10, end: 10}
+          ];
+          for(const {start, end} of ranges) {
+            const bytes = await read({start, end});
+            bytes.should.eql([...data.slice(start, end)]);
+          }
+        });
+      });
+
+      describe('resumable upload', () => {
+        let edvClient;
+        beforeEach(async () => {
+          const password = 'pw';
+          const config = {
+            ...mock.config,
+            id: await generateLocalId()
+          };
+          delete config.hmac;
+          delete config.keyAgreementKey;
+          const result = await PouchEdvClient.createEdv(
+            {config, password, cipherVersion});
+          edvClient = result.edvClient;
+        });
+
+        const data = new Uint8Array(450).map((x, i) => i % 256);
+        function createStream() {
+          return new ReadableStream({
+            pull(controller) {
+              controller.enqueue(data);
+              controller.close();
+            }
+          });
+        }
+
+        it('should resume an interrupted upload', async () => {
+          // interrupt the upload after two chunks are stored
+          const {transport} = edvClient;
+          const {storeChunk} = transport;
+          transport.storeChunk = async ({docId, chunk}) => {
+            if(chunk.index === 2) {
+              throw new Error('Interrupted.');
+            }
+            return storeChunk.call(transport, {docId, chunk});
+          };
+          const id = await PouchEdvClient.generateId();
+          let error;
+          try {
+            await edvClient.insert({
+              doc: {id, content: {foo: 'bar'}},
+              stream: createStream(), chunkSize: 100
+            });
+          } catch(e) {
+            error = e;
+          } finally {
+            delete transport.storeChunk;
+          }
+          should.exist(error);
+          error.message.should.equal('Interrupted.');
+
+          const {sequence, indexes} = await edvClient.getChunkIndexes({id});
+          sequence.should.equal(0);
+          indexes.should.eql([0, 1]);
+
+          const current = await edvClient.get({id});
+          const doc = await edvClient.update({
+            doc: current, stream: createStream(), chunkSize: 100,
+            resumeFrom: indexes.length
+          });
+          doc.sequence.should.equal(1);
+          doc.stream.should.eql({sequence: 0, chunks: 5});
+
+          const reader = (await edvClient.getStream({doc})).getReader();
+          const bytes = [];
+          let value;
+          let done;
+          while(!done) {
+            ({value, done} = await reader.read());
+            if(value) {
+              bytes.push(...value);
+            }
+          }
+          bytes.should.eql([...data]);
+        });
+        it('should fail to resume if chunks are missing', async () => {
+          const doc = await edvClient.insert({doc: {content: {foo: 'bar'}}});
+          let error;
+          try {
+            await edvClient.update({
+              doc, stream: createStream(), chunkSize: 100, resumeFrom: 1
+            });
+          } catch(e) {
+            error = e;
+          }
+          should.exist(error);
+          error.name.should.equal('InvalidStateError');
+        });
+      });
+
+      describe('deleteEdv', () => {
+        it('should pass', async () => {
+          const password = 'pw';
+          const config = {
+            ...mock.config,
+            id: await generateLocalId()
+          };
+          delete config.hmac;
+          delete config.keyAgreementKey;
+          const {edvClient} = await PouchEdvClient.createEdv(
+            {config, password, cipherVersion});
+          const data = new Uint8Array([1, 2, 3]);
+          const stream = new ReadableStream({
+            pull(controller) {
+              controller.enqueue(data);
+              controller.close();
+            }
+          });
+          const doc = await edvClient.insert(
+            {doc: {content: {foo: 'bar'}}, stream});
+          await edvClient.insert({doc: {content: {foo: 'baz'}}});
+
+          const result = await PouchEdvClient.deleteEdv({id: config.id});
+          result.should.equal(true);
+
+          // config, secret, docs, and chunks should all be gone
+          const errors = await Promise.all([
+            edvs.get({id: config.id}),
+            secrets.get({id: config.id}),
+            docs.get({edvId: config.id, id: doc.id}),
+            chunks.get({edvId: config.id, docId: doc.id, index: 0})
+          ].map(p => p.catch(e => e)));
+          for(const error of errors) {
+            error.name.should.equal('NotFoundError');
+          }
+          const {records} = await docs.find({edvId: config.id});
+          records.length.should.equal(0);
+        });
+        it('should return false when not found', async () => {
+          const id = await generateLocalId();
+          const result = await PouchEdvClient.deleteEdv({id});
+          result.should.equal(false);
+        });
       });
 
       describe('insert', () => {
@@ -410,6 +788,99 @@ describe('PouchEdvClient API', function() {
           });
       });
 
+      describe('insertMany', () => {
+        let edvClient;
+        beforeEach(async () => {
+          const password = 'pw';
+          const config = {
+            ...mock.config,
+            id: await generateLocalId()
+          };
+          delete config.hmac;
+          delete config.keyAgreementKey;
+          const result = await PouchEdvClient.createEdv(
+            {config, password, cipherVersion});
+          edvClient = result.edvClient;
+        });
+        it('should fail "docs" assertion', async () => {
+          let error;
+          try {
+            await edvClient.insertMany({docs: {}});
+          } catch(e) {
+            error = e;
+          }
+          should.exist(error);
+          error.name.should.equal('TypeError');
+          error.message.should.equal('"docs" must be an array.');
+        });
+        it('should insert documents and report failures', async () => {
+          await edvClient.ensureIndex(
+            {attribute: 'content.email', unique: true});
+          const existing = await edvClient.insert(
+            {doc: {content: {email: 'a@example.com'}}});
+          const {results} = await edvClient.insertMany({docs: [
+            {content: {email: 'b@example.com'}},
+            {content: {email: 'a@example.com'}},
+            {content: {email: 'b@example.com'}},
+            {id: existing.id, content: {}},
+            {content: {email: 'c@example.com'}}
+          ]});
+          results.length.should.equal(5);
+          results[0].document.content.should.eql({email: 'b@example.com'});
+          results[0].document.sequence.should.equal(0);
+          results[1].error.name.should.equal('DuplicateError');
+          results[2].error.name.should.equal('DuplicateError');
+          results[3].error.name.should.equal('DuplicateError');
+          should.exist(results[4].document);
+
+          const {documents} = await edvClient.find(
+            {has: 'content.email'});
+          documents.map(({id}) => id).should.have.members([
+            existing.id, results[0].document.id, results[4].document.id
+          ]);
+          const doc = await edvClient.get({id: results[0].document.id});
+          doc.should.eql(results[0].document);
+        });
+      });
+
+      describe('updateMany', () => {
+        let edvClient;
+        beforeEach(async () => {
+          const password = 'pw';
+          const config = {
+            ...mock.config,
+            id: await generateLocalId()
+          };
+          delete config.hmac;
+          delete config.keyAgreementKey;
+          const result = await PouchEdvClient.createEdv(
+            {config, password, cipherVersion});
+          edvClient = result.edvClient;
+        });
+        it('should update documents and report failures', async () => {
+          const doc1 = await edvClient.insert({doc: {content: {n: 1}}});
+          const doc2 = await edvClient.insert({doc: {content: {n: 2}}});
+          // update `doc2` so its sequence is stale in the batch
+          await edvClient.update({doc: doc2});
+          const newId = await PouchEdvClient.generateId();
+          const {results} = await edvClient.updateMany({docs: [
+            {...doc1, content: {n: 10}},
+            {...doc2, content: {n: 20}},
+            {id: newId, content: {n: 30}},
+            {content: {}}
+          ]});
+          results.length.should.equal(4);
+          results[0].document.sequence.should.equal(1);
+          results[1].error.name.should.equal('InvalidStateError');
+          results[2].document.sequence.should.equal(0);
+          results[3].error.name.should.equal('TypeError');
+
+          (await edvClient.get({id: doc1.id})).content.should.eql({n: 10});
+          (await edvClient.get({id: doc2.id})).content.should.eql({n: 2});
+          (await edvClient.get({id: newId})).content.should.eql({n: 30});
+        });
+      });
+
       describe('find', () => {
         let edvClient;
         beforeEach(async () => {
@@ -522,12 +993,46 @@ describe('PouchEdvClient API', function() {
           });
           should.exist(result);
           result.should.be.an('object');
-          result.should.have.keys(['documents', 'hasMore']);
+          result.should.have.keys(['documents', 'hasMore', 'cursor']);
           should.exist(result.documents);
           result.documents.should.be.an('array');
           result.documents.length.should.equal(1);
           should.exist(result.hasMore);
           result.hasMore.should.equal(true);
+          result.cursor.should.equal(result.documents[0].id);
+        });
+        it('should get all pages of documents w/cursor', async () => {
+          await edvClient.ensureIndex({attribute: 'content.foo'});
+
+          const ids = [];
+          for(let i = 0; i < 5; ++i) {
+            const doc = {
+              id: await generateLocalId(),
+              content: {foo: 'bar'}
+            };
+            await edvClient.insert({doc});
+            ids.push(doc.id);
+          }
+
+          // get pages of 2 documents until there are no more
+          const pages = [];
+          let cursor;
+          let hasMore = true;
+          while(hasMore) {
+            const result = await edvClient.find({
+              equals: {'content.foo': 'bar'},
+              limit: 2,
+              cursor
+            });
+            pages.push(result.documents.map(({id}) => id));
+            ({cursor, hasMore} = result);
+          }
+          should.not.exist(cursor);
+          pages.map(page => page.length).should.eql([2, 2, 1]);
+          const found = pages.flat();
+          found.should.have.members(ids);
+          // pages are in a stable order
+          found.should.eql([...found].sort());
         });
         it('should get documents w/limit and hasMore=false', async () => {
           await edvClient.ensureIndex({attribute: 'content.foo'});
@@ -561,6 +1066,86 @@ describe('PouchEdvClient API', function() {
           should.exist(result.hasMore);
           result.hasMore.should.equal(false);
         });
+        it('should get documents w/"has" and "equals"', async () => {
+          await edvClient.ensureIndex({attribute: 'content.foo'});
+          await edvClient.ensureIndex({attribute: 'content.type'});
+
+          const match = await edvClient.insert(
+            {doc: {content: {foo: 'bar', type: 'A'}}});
+          await edvClient.insert({doc: {content: {type: 'A'}}});
+          await edvClient.insert({doc: {content: {foo: 'bar', type: 'B'}}});
+
+          const result = await edvClient.find({
+            has: 'content.foo',
+            equals: {'content.type': 'A'}
+          });
+          result.documents.map(({id}) => id).should.eql([match.id]);
+        });
+        it('should get documents w/"not"', async () => {
+          await edvClient.ensureIndex({attribute: 'content.foo'});
+          await edvClient.ensureIndex({attribute: 'content.baz'});
+
+          const match = await edvClient.insert({doc: {content: {foo: 'bar'}}});
+          await edvClient.insert({doc: {content: {foo: 'bar', baz: 'qux'}}});
+          const other = await edvClient.insert({doc: {content: {}}});
+
+          const result = await edvClient.find({
+            has: 'content.foo',
+            not: {has: 'content.baz'}
+          });
+          result.documents.map(({id}) => id).should.eql([match.id]);
+
+          // `not` only
+          const notResult = await edvClient.find({
+            not: {has: 'content.foo'}
+          });
+          notResult.documents.map(({id}) => id).should.eql([other.id]);
+          const count = await edvClient.count({not: {has: 'content.foo'}});
+          count.should.equal(1);
+        });
+        it('should get documents w/"or"', async () => {
+          await edvClient.ensureIndex({attribute: 'content.foo'});
+          await edvClient.ensureIndex({attribute: 'content.baz'});
+
+          const doc1 = await edvClient.insert(
+            {doc: {content: {foo: 'bar'}}});
+          const doc2 = await edvClient.insert(
+            {doc: {content: {baz: 'qux'}}});
+          await edvClient.insert({doc: {content: {foo: 'different'}}});
+
+          const result = await edvClient.find({
+            or: [
+              {equals: {'content.foo': 'bar'}},
+              {has: 'content.baz'}
+            ]
+          });
+          result.documents.map(({id}) => id).should.have.members(
+            [doc1.id, doc2.id]);
+        });
+        it('should get documents w/"equals", "or", and "not"', async () => {
+          await edvClient.ensureIndex({attribute: 'content.a'});
+          await edvClient.ensureIndex({attribute: 'content.b'});
+
+          const match = await edvClient.insert(
+            {doc: {content: {a: '1', b: '1'}}});
+          await edvClient.insert({doc: {content: {a: '1', b: '2'}}});
+          await edvClient.insert({doc: {content: {a: '2', b: '1'}}});
+          await edvClient.insert({doc: {content: {a: '1', b: '3'}}});
+
+          const result = await edvClient.find({
+            equals: {'content.a': '1'},
+            or: [
+              {equals: {'content.b': '1'}},
+              {equals: {'content.b': '3'}}
+            ],
+            not: {
+              equals: {'content.a': '1'},
+              has: 'content.b',
+              not: {equals: [{'content.b': '1'}, {'content.b': '2'}]}
+            }
+          });
+          result.documents.map(({id}) => id).should.eql([match.id]);
+        });
         it('should get no documents', async () => {
           await edvClient.ensureIndex({attribute: 'content.foo'});
 
@@ -596,6 +1181,36 @@ describe('PouchEdvClient API', function() {
         });
       });
 
+      describe('count', () => {
+        let edvClient;
+        beforeEach(async () => {
+          const password = 'pw';
+          const config = {
+            ...mock.config,
+            id: await generateLocalId()
+          };
+          delete config.hmac;
+          delete config.keyAgreementKey;
+          const result = await PouchEdvClient.createEdv(
+            {config, password, cipherVersion});
+          edvClient = result.edvClient;
+        });
+        it('should count documents', async () => {
+          await edvClient.ensureIndex({attribute: 'content.foo'});
+
+          for(const foo of ['bar', 'bar', 'different']) {
+            await edvClient.insert({doc: {content: {foo}}});
+          }
+
+          const count = await edvClient.count({
+            equals: {'content.foo': 'bar'}
+          });
+          count.should.equal(2);
+          const hasCount = await edvClient.count({has: 'content.foo'});
+          hasCount.should.equal(3);
+        });
+      });
+
       describe('get', () => {
         let edvClient;
         beforeEach(async () => {
@@ -654,6 +1269,318 @@ describe('PouchEdvClient API', function() {
         });
       });
 
+      describe('getMany', () => {
+        let edvClient;
+        beforeEach(async () => {
+          const password = 'pw';
+          const config = {
+            ...mock.config,
+            id: await generateLocalId()
+          };
+          delete config.hmac;
+          delete config.keyAgreementKey;
+          const result = await PouchEdvClient.createEdv(
+            {config, password, cipherVersion});
+          edvClient = result.edvClient;
+        });
+        it('should get documents and report missing ones', async () => {
+          const doc1 = await edvClient.insert({doc: {content: {n: 1}}});
+          const doc2 = await edvClient.insert({doc: {content: {n: 2}}});
+          const missingId = await PouchEdvClient.generateId();
+
+          const {results} = await edvClient.getMany(
+            {ids: [doc2.id, missingId, doc1.id]});
+          results.length.should.equal(3);
+          results[0].document.should.eql(await edvClient.get({id: doc2.id}));
+          results[0].document.content.should.eql({n: 2});
+          results[1].error.name.should.equal('NotFoundError');
+          results[2].document.content.should.eql({n: 1});
+        });
+      });
+
+      describe('listDocuments', () => {
+        let edvClient;
+        beforeEach(async () => {
+          const password = 'pw';
+          const config = {
+            ...mock.config,
+            id: await generateLocalId()
+          };
+          delete config.hmac;
+          delete config.keyAgreementKey;
+          const result = await PouchEdvClient.createEdv(
+            {config, password, cipherVersion});
+          edvClient = result.edvClient;
+        });
+        it('should fail "limit" assertion', async () => {
+          let error;
+          try {
+            await edvClient.listDocuments({limit: 0});
+          } catch(e) {
+            error = e;
+          }
+          should.exist(error);
+          error.message.should.equal(
+            '"limit" must be an integer >= 1 and <= 1000.');
+        });
+        it('should list all pages of documents w/cursor', async () => {
+          // documents w/o indexed attributes
+          const ids = [];
+          for(let i = 0; i < 5; ++i) {
+            const doc = await edvClient.insert({doc: {content: {}}});
+            ids.push(doc.id);
+          }
+          ids.sort();
+
+          const pages = [];
+          let cursor;
+          let hasMore = true;
+          while(hasMore) {
+            const result = await edvClient.listDocuments({limit: 2, cursor});
+            pages.push(result.entries);
+            ({cursor, hasMore} = result);
+          }
+          should.not.exist(cursor);
+          pages.map(page => page.length).should.eql([2, 2, 1]);
+          pages.flat().should.eql(
+            ids.map(id => ({id, sequence: 0, deleted: false})));
+        });
+        it('should list deleted documents', async () => {
+          const doc1 = await edvClient.insert({doc: {content: {}}});
+          const doc2 = await edvClient.insert({doc: {content: {}}});
+          await edvClient.delete({doc: doc2});
+
+          const {entries} = await edvClient.listDocuments();
+          entries.should.eql([{id: doc1.id, sequence: 0, deleted: false}]);
+
+          const {entries: all} = await edvClient.listDocuments(
+            {includeDeleted: true});
+          all.should.have.deep.members([
+            {id: doc1.id, sequence: 0, deleted: false},
+            {id: doc2.id, sequence: 1, deleted: true}
+          ]);
+        });
+      });
+
+      describe('history', () => {
+        let edvClient;
+        beforeEach(async () => {
+          const password = 'pw';
+          const config = {
+            ...mock.config,
+            id: await generateLocalId()
+          };
+          delete config.hmac;
+          delete config.keyAgreementKey;
+          const result = await PouchEdvClient.createEdv(
+            {config, password, cipherVersion});
+          edvClient = result.edvClient;
+        });
+        it('should restore a previous version', async () => {
+          const settings = await edvClient.enableHistory({maxVersions: 5});
+          settings.should.eql({maxVersions: 5});
+
+          const doc1 = await edvClient.insert({doc: {content: {n: 1}}});
+          const doc2 = await edvClient.update(
+            {doc: {...doc1, content: {n: 2}}});
+          await edvClient.update({doc: {...doc2, content: {n: 3}}});
+
+          const {documents} = await edvClient.getHistory({id: doc1.id});
+          documents.map(({sequence, content}) => ({sequence, content}))
+            .should.eql([
+              {sequence: 1, content: {n: 2}},
+              {sequence: 0, content: {n: 1}}
+            ]);
+
+          const restored = await edvClient.restore({id: doc1.id, sequence: 0});
+          restored.sequence.should.equal(3);
+          const doc = await edvClient.get({id: doc1.id});
+          doc.sequence.should.equal(3);
+          doc.content.should.eql({n: 1});
+        });
+        it('should not keep a version if an update fails', async () => {
+          await edvClient.enableHistory({maxVersions: 1});
+          await edvClient.ensureIndex({attribute: 'content.id', unique: true});
+
+          const doc1 = await edvClient.insert(
+            {doc: {content: {id: 'foo', n: 1}}});
+          const doc2 = await edvClient.update(
+            {doc: {...doc1, content: {id: 'foo', n: 2}}});
+          await edvClient.insert({doc: {content: {id: 'bar'}}});
+
+          // update w/the unique attribute of the other document
+          let error;
+          try {
+            await edvClient.update({doc: {...doc2, content: {id: 'bar'}}});
+          } catch(e) {
+            error = e;
+          }
+          should.exist(error);
+          error.name.should.equal('DuplicateError');
+
+          const {documents} = await edvClient.getHistory({id: doc1.id});
+          documents.map(({sequence, content}) => ({sequence, content}))
+            .should.eql([{sequence: 0, content: {id: 'foo', n: 1}}]);
+        });
+        it('should restore a deleted document', async () => {
+          await edvClient.enableHistory();
+          const doc = await edvClient.insert({doc: {content: {n: 1}}});
+          await edvClient.delete({doc});
+
+          const restored = await edvClient.restore({id: doc.id, sequence: 0});
+          restored.sequence.should.equal(2);
+          const result = await edvClient.get({id: doc.id});
+          result.content.should.eql({n: 1});
+        });
+        it('should fail to restore an unknown version', async () => {
+          const doc = await edvClient.insert({doc: {content: {n: 1}}});
+          let error;
+          try {
+            await edvClient.restore({id: doc.id, sequence: 0});
+          } catch(e) {
+            error = e;
+          }
+          should.exist(error);
+          error.name.should.equal('NotFoundError');
+          error.message.should.equal('Document version not found.');
+        });
+      });
+
+      describe('trash', () => {
+        let edvClient;
+        beforeEach(async () => {
+          const password = 'pw';
+          const config = {
+            ...mock.config,
+            id: await generateLocalId()
+          };
+          delete config.hmac;
+          delete config.keyAgreementKey;
+          const result = await PouchEdvClient.createEdv(
+            {config, password, cipherVersion});
+          edvClient = result.edvClient;
+        });
+        it('should restore a deleted document', async () => {
+          const settings = await edvClient.enableTrash({retention: 60000});
+          settings.should.eql({retention: 60000});
+
+          const doc1 = await edvClient.insert({doc: {content: {n: 1}}});
+          const doc2 = await edvClient.update(
+            {doc: {...doc1, content: {n: 2}}});
+          await edvClient.delete({doc: doc2});
+
+          const {entries} = await edvClient.listTrash();
+          entries.length.should.equal(1);
+          entries[0].document.id.should.equal(doc1.id);
+          entries[0].document.sequence.should.equal(1);
+          entries[0].document.content.should.eql({n: 2});
+
+          const restored = await edvClient.restoreFromTrash({id: doc1.id});
+          restored.sequence.should.equal(3);
+          const doc = await edvClient.get({id: doc1.id});
+          doc.content.should.eql({n: 2});
+          (await edvClient.listTrash()).entries.should.eql([]);
+        });
+        it('should fail to restore a document not in the trash', async () => {
+          await edvClient.enableTrash();
+          let error;
+          try {
+            await edvClient.restoreFromTrash({id: await generateLocalId()});
+          } catch(e) {
+            error = e;
+          }
+          should.exist(error);
+          error.name.should.equal('NotFoundError');
+          error.message.should.equal('Document not found in trash.');
+        });
+      });
+
+      describe('watch', () => {
+        let edvClient;
+        beforeEach(async () => {
+          const password = 'pw';
+          const config = {
+            ...mock.config,
+            id: await generateLocalId()
+          };
+          delete config.hmac;
+          delete config.keyAgreementKey;
+          const result = await PouchEdvClient.createEdv(
+            {config, password, cipherVersion});
+          edvClient = result.edvClient;
+          edvClient.ensureIndex({attribute: 'content.color'});
+        });
+        it('should yield changes', async () => {
+          const changes = edvClient.watch({since: 0});
+          const events = [];
+
+          const doc = await edvClient.insert({doc: {content: {color: 'red'}}});
+          events.push((await changes.next()).value);
+          doc.content.size = 'large';
+          const updated = await edvClient.update({doc});
+          events.push((await changes.next()).value);
+          await edvClient.delete({doc: updated});
+          events.push((await changes.next()).value);
+          await changes.return();
+
+          events.map(({type}) => type).should.eql(
+            ['insert', 'update', 'delete']);
+          events[0].document.content.should.eql({color: 'red'});
+          events[1].document.content.should.eql(
+            {color: 'red', size: 'large'});
+          events[2].document.meta.deleted.should.equal(true);
+          for(const event of events) {
+            event.document.id.should.equal(doc.id);
+          }
+        });
+        it('should yield an insert for a document inserted again',
+          async () => {
+            const doc = await edvClient.insert(
+              {doc: {content: {color: 'red'}}});
+            await edvClient.delete({doc});
+
+            const changes = edvClient.watch();
+            const next = changes.next();
+            await edvClient.insert(
+              {doc: {id: doc.id, content: {color: 'blue'}}});
+            const {value: event} = await next;
+            await changes.return();
+
+            event.type.should.equal('insert');
+            event.document.id.should.equal(doc.id);
+            event.document.content.should.eql({color: 'blue'});
+          });
+        it('should stop when aborted', async () => {
+          const controller = new AbortController();
+          const changes = edvClient.watch({signal: controller.signal});
+          const next = changes.next();
+          controller.abort();
+          const {done} = await next;
+          done.should.equal(true);
+        });
+        it('should yield only matching changes', async () => {
+          await edvClient.insert({doc: {content: {color: 'blue'}}});
+          const doc = await edvClient.insert({doc: {content: {color: 'red'}}});
+
+          const changes = edvClient.watch(
+            {equals: {'content.color': 'red'}, since: 0});
+          for await (const event of changes) {
+            event.type.should.equal('insert');
+            event.document.id.should.equal(doc.id);
+            break;
+          }
+        });
+        it('should yield encrypted documents', async () => {
+          await edvClient.insert({doc: {content: {color: 'red'}}});
+          const changes = edvClient.watch({since: 0, decrypt: false});
+          for await (const event of changes) {
+            should.exist(event.document.jwe);
+            should.not.exist(event.document.content);
+            break;
+          }
+        });
+      });
+
       describe('delete', () => {
         let edvClient;
         beforeEach(async () => {
@@ -0,0 +1,231 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  EdvStore, generateLocalId, PouchEdvClient, secrets
+} from '@bedrock/web-pouch-edv';
+import {mock} from './mock.js';
+
+describe('EdvStore API', function() {
+  let store1;
+  let store2;
+  before(async () => {
+    store1 = new EdvStore({prefix: 'test_store1_'});
+    store2 = new EdvStore({prefix: 'test_store2_'});
+    await store1.initialize();
+    await store2.initialize();
+  });
+
+  describe('constructor', () => {
+    it('should fail "prefix" assertion', async () => {
+      let error;
+      try {
+        new EdvStore({prefix: false});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('TypeError');
+      error.message.should.equal('"prefix" must be a string.');
+    });
+    it('should use prefix for database names', async () => {
+      store1.prefix.should.equal('test_store1_');
+      store1.docs.client.name.should.equal('test_store1_edv-storage-doc');
+      store1.chunks.client.name.should.equal('test_store1_edv-storage-chunk');
+      store1.edvs.client.name.should.equal('test_store1_edv-storage-config');
+      store1.secrets.client.name.should.equal(
+        'test_store1_edv-storage-secret');
+    });
+  });
+
+  describe('initialize', () => {
+    it('should fail "retry" assertion', async () => {
+      const store = new EdvStore({prefix: 'test_store_retry_'});
+      let error;
+      try {
+        await store.initialize({retry: {maxRetries: -1}});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('TypeError');
+      error.message.should.equal(
+        '"retry.maxRetries" must be a non-negative safe integer.');
+    });
+    it('should apply "retry" settings', async () => {
+      const store = new EdvStore({prefix: 'test_store_retry_'});
+      await store.initialize({retry: {maxRetries: 3}});
+      store.docs.client.retry.should.eql(
+        {maxRetries: 3, minDelay: 10, maxDelay: 1000});
+      store.docs.reservations.retry.maxRetries.should.equal(3);
+      store.edvs.client.retry.maxRetries.should.equal(3);
+    });
+    it('should record schema versions', async () => {
+      const progress = [];
+      const store = new EdvStore({prefix: 'test_store_schema_'});
+      await store.initialize({onProgress: p => progress.push(p)});
+      const clients = [
+        [store.chunks.client, 1], [store.docs.client, 2],
+        [store.edvs.client, 1], [store.secrets.client, 1]
+      ];
+      for(const [client, expected] of clients) {
+        const {version} = await client.get('_local/schema-version');
+        version.should.equal(expected);
+      }
+      // no legacy databases exist for non-default prefixes, so only the
+      // tombstones of deleted documents are looked for
+      progress.length.should.be.above(0);
+      for(const {collection, migration} of progress) {
+        collection.should.equal('edv-storage-doc');
+        migration.should.equal('tombstones');
+      }
+    });
+    it('should fail with a newer schema version', async () => {
+      const store = new EdvStore({prefix: 'test_store_schema_newer_'});
+      await store.initialize();
+      const {client} = store.edvs;
+      const record = await client.get('_local/schema-version');
+      await client.put({...record, version: 1000});
+      await store.close();
+
+      let error;
+      try {
+        await store.initialize();
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('NotSupportedError');
+      should.not.exist(store.edvs.client);
+      await store.destroy();
+    });
+  });
+
+  describe('isolation', () => {
+    it('should not share EDVs between stores', async () => {
+      const password = 'pw';
+      const config = {
+        ...mock.config,
+        id: await generateLocalId()
+      };
+      delete config.hmac;
+      delete config.keyAgreementKey;
+      const {edvClient} = await PouchEdvClient.createEdv(
+        {config, password, store: store1});
+      const doc = await edvClient.insert({doc: {content: {foo: 'bar'}}});
+
+      // EDV is found in `store1`...
+      const edvClient1 = await PouchEdvClient.fromLocalSecrets(
+        {edvId: config.id, password, store: store1});
+      const result = await edvClient1.get({id: doc.id});
+      result.content.should.eql({foo: 'bar'});
+
+      // ...but not in `store2`
+      let error;
+      try {
+        await PouchEdvClient.fromLocalSecrets(
+          {edvId: config.id, password, store: store2});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('NotFoundError');
+    });
+  });
+
+  describe('teardown', () => {
+    it('should close and reinitialize', async () => {
+      const store = new EdvStore({prefix: 'test_store_close_'});
+      await store.initialize();
+      const config = {
+        ...mock.config,
+        id: await generateLocalId()
+      };
+      await store.edvs.insert({config});
+      await store.close();
+      should.not.exist(store.edvs.client);
+      should.not.exist(store.docs.client);
+
+      // data is kept across close
+      await store.initialize();
+      const record = await store.edvs.get({id: config.id});
+      record.config.should.eql(config);
+      await store.close();
+    });
+    it('should destroy', async () => {
+      const store = new EdvStore({prefix: 'test_store_destroy_'});
+      await store.initialize();
+      const config = {
+        ...mock.config,
+        id: await generateLocalId()
+      };
+      await store.edvs.insert({config});
+      await store.destroy();
+
+      // data is removed by destroy
+      await store.initialize();
+      let error;
+      try {
+        await store.edvs.get({id: config.id});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('NotFoundError');
+      await store.destroy();
+    });
+  });
+
+  describe('device keys', () => {
+    it('should use device keys after the database is closed', async () => {
+      const store = new EdvStore({prefix: 'test_store_device_keys_close_'});
+      await store.initialize();
+      const {id, key} = await secrets.generateDeviceKey();
+      await store.deviceKeys.insert({id, key});
+
+      await store.deviceKeys.close();
+      const record = await store.deviceKeys.get({id});
+      record.id.should.equal(id);
+
+      await store.deviceKeys.close();
+      const removed = await store.deviceKeys.remove({id});
+      removed.should.equal(true);
+
+      await store.deviceKeys.close();
+      await store.deviceKeys.insert({id, key});
+      await store.destroy();
+    });
+    it('should reopen the database after it is deleted elsewhere',
+      async function() {
+        if(!globalThis.indexedDB) {
+          // device keys are only kept in memory
+          this.skip();
+        }
+        const store = new EdvStore({prefix: 'test_store_device_keys_'});
+        await store.initialize();
+        const {id, key} = await secrets.generateDeviceKey();
+        await store.deviceKeys.insert({id, key});
+
+        // delete the database as, e.g., another tab would
+        await new Promise((resolve, reject) => {
+          const request = indexedDB.deleteDatabase(
+            'test_store_device_keys_edv-device-keys');
+          request.onsuccess = resolve;
+          request.onerror = () => reject(request.error);
+        });
+
+        let error;
+        try {
+          await store.deviceKeys.get({id});
+        } catch(e) {
+          error = e;
+        }
+        should.exist(error);
+        error.name.should.equal('NotFoundError');
+        await store.deviceKeys.insert({id, key});
+        const record = await store.deviceKeys.get({id});
+        record.id.should.equal(id);
+        await store.destroy();
+      });
+  });
+});
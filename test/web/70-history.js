@@ -0,0 +1,102 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  docs, edvs, generateLocalId, history, initialize
+} from '@bedrock/web-pouch-edv';
+import {mock} from './mock.js';
+
+describe('history API', function() {
+  let edvId;
+  before(async () => {
+    await initialize();
+  });
+  beforeEach(async () => {
+    const config = {
+      ...mock.config,
+      id: await generateLocalId()
+    };
+    const record = await edvs.insert({config});
+    edvId = record.config.id;
+  });
+
+  describe('enable', () => {
+    it('should fail "maxVersions" assertion', async () => {
+      let error;
+      try {
+        await history.enable({edvId, maxVersions: 0});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('RangeError');
+      error.message.should.equal('"maxVersions" must be greater than 0.');
+    });
+    it('should enable and disable history', async () => {
+      should.not.exist(await history.getSettings({edvId}));
+      await history.enable({edvId, maxVersions: 2});
+      const settings = await history.getSettings({edvId});
+      settings.maxVersions.should.equal(2);
+      await history.disable({edvId});
+      should.not.exist(await history.getSettings({edvId}));
+    });
+  });
+
+  describe('list', () => {
+    it('should not keep versions if history is not enabled', async () => {
+      const doc = {...mock.doc, id: await generateLocalId()};
+      await docs.insert({edvId, doc});
+      await docs.upsert({edvId, doc: {...doc, sequence: 1}});
+
+      const {records} = await history.list({edvId, docId: doc.id});
+      records.should.eql([]);
+    });
+    it('should keep the latest versions', async () => {
+      await history.enable({edvId, maxVersions: 2});
+      const doc = {...mock.doc, id: await generateLocalId()};
+      await docs.insert({edvId, doc});
+      for(let sequence = 1; sequence <= 3; ++sequence) {
+        await docs.upsert({edvId, doc: {...doc, sequence}});
+      }
+      // a stale update must not be kept
+      let error;
+      try {
+        await docs.upsert({edvId, doc: {...doc, sequence: 3}});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+
+      const {records} = await history.list({edvId, docId: doc.id});
+      records.map(({doc}) => doc.sequence).should.eql([2, 1]);
+      const record = await history.get({edvId, docId: doc.id, sequence: 1});
+      record.doc.should.eql({...doc, sequence: 1});
+    });
+    it('should remove versions when disabled', async () => {
+      await history.enable({edvId});
+      const doc = {...mock.doc, id: await generateLocalId()};
+      await docs.insert({edvId, doc});
+      await docs.upsert({edvId, doc: {...doc, sequence: 1}});
+
+      const {removed} = await history.disable({edvId});
+      removed.should.equal(1);
+      const {records} = await history.list({edvId, docId: doc.id});
+      records.should.eql([]);
+    });
+  });
+
+  describe('get', () => {
+    it('should fail due to not found error', async () => {
+      let error;
+      try {
+        await history.get(
+          {edvId, docId: await generateLocalId(), sequence: 0});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('NotFoundError');
+      error.message.should.equal('Document version not found.');
+    });
+  });
+});
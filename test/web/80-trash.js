@@ -0,0 +1,122 @@
+/*!
+ * Copyright (c) 2026 Digital Bazaar, Inc. All rights reserved.
+ */
+import {
+  docs, edvs, generateLocalId, initialize, trash
+} from '@bedrock/web-pouch-edv';
+import {mock} from './mock.js';
+
+describe('trash API', function() {
+  let edvId;
+  before(async () => {
+    await initialize();
+  });
+  beforeEach(async () => {
+    const config = {
+      ...mock.config,
+      id: await generateLocalId()
+    };
+    const record = await edvs.insert({config});
+    edvId = record.config.id;
+  });
+
+  describe('enable', () => {
+    it('should fail "retention" assertion', async () => {
+      let error;
+      try {
+        await trash.enable({edvId, retention: 0});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('RangeError');
+      error.message.should.equal('"retention" must be greater than 0.');
+    });
+    it('should enable and disable the trash', async () => {
+      should.not.exist(await trash.getSettings({edvId}));
+      await trash.enable({edvId, retention: 1000});
+      const settings = await trash.getSettings({edvId});
+      settings.retention.should.equal(1000);
+      await trash.disable({edvId});
+      should.not.exist(await trash.getSettings({edvId}));
+    });
+  });
+
+  describe('list', () => {
+    it('should not keep deleted documents if not enabled', async () => {
+      const doc = {...mock.doc, id: await generateLocalId()};
+      await docs.insert({edvId, doc});
+      await docs.upsert({edvId, doc: {...doc, sequence: 1}, deleted: true});
+
+      const {records} = await trash.list({edvId});
+      records.should.eql([]);
+    });
+    it('should keep deleted documents', async () => {
+      await trash.enable({edvId});
+      const doc = {...mock.doc, id: await generateLocalId()};
+      await docs.insert({edvId, doc});
+      await docs.upsert({edvId, doc: {...doc, sequence: 1}});
+      await docs.upsert({edvId, doc: {...doc, sequence: 2}, deleted: true});
+
+      const {records} = await trash.list({edvId});
+      records.length.should.equal(1);
+      records[0].doc.should.eql({...doc, sequence: 1});
+      records[0].expires.should.be.above(records[0].deletedAt);
+      const record = await trash.get({edvId, docId: doc.id});
+      record.doc.should.eql({...doc, sequence: 1});
+    });
+  });
+
+  describe('get', () => {
+    it('should fail due to not found error', async () => {
+      let error;
+      try {
+        await trash.get({edvId, docId: await generateLocalId()});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('NotFoundError');
+      error.message.should.equal('Document not found in trash.');
+    });
+  });
+
+  describe('remove', () => {
+    it('should remove a document from the trash', async () => {
+      await trash.enable({edvId});
+      const doc = {...mock.doc, id: await generateLocalId()};
+      await docs.insert({edvId, doc});
+      await docs.upsert({edvId, doc: {...doc, sequence: 1}, deleted: true});
+
+      (await trash.remove({edvId, docId: doc.id})).should.equal(true);
+      (await trash.remove({edvId, docId: doc.id})).should.equal(false);
+      const {records} = await trash.list({edvId});
+      records.should.eql([]);
+    });
+  });
+
+  describe('sweep', () => {
+    it('should remove expired documents', async () => {
+      await trash.enable({edvId, retention: 1});
+      const doc = {...mock.doc, id: await generateLocalId()};
+      await docs.insert({edvId, doc});
+      await docs.upsert({edvId, doc: {...doc, sequence: 1}, deleted: true});
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      // an expired document is not listed even before it is swept
+      const {records} = await trash.list({edvId});
+      records.should.eql([]);
+      const {removed} = await trash.sweep();
+      // a background sweep may have already removed the document
+      removed.should.be.within(0, 1);
+      let error;
+      try {
+        await trash.get({edvId, docId: doc.id});
+      } catch(e) {
+        error = e;
+      }
+      should.exist(error);
+      error.name.should.equal('NotFoundError');
+    });
+  });
+});